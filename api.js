@@ -1,4 +1,5 @@
-import { types } from "./types.js";
+import { Readable } from "node:stream";
+import { facets, filterConfig, types } from "./types.js";
 import {
   normalizeValue,
   normalizeMedia,
@@ -7,21 +8,54 @@ import {
   normalizeOmekaFields,
   normalizeHero,
   normalizePage,
-  normalizeSearchString,
   normalizeType,
+  literalFilterValue,
 } from "./utils/normalize.js";
-import { parseQuery } from "./utils/query.js";
+import { matchDates, matchProperties, parseQuery } from "./utils/query.js";
 import { extractSnippets } from "./utils/snippets.js";
 import {
-  FEATURED_ITEM_SET,
-  HEROES_ITEM_SET,
-  OMEKA_API,
-  OMEKA_SITE,
-  PAGE_LIMIT,
-} from "./env.js";
-import { delCache, getCache, setCache } from "./redis.js";
+  buildSearchIndex,
+  querySearchIndex,
+  removeFromSearchIndex,
+  updateSearchIndex,
+} from "./utils/search.js";
+import { PAGE_LIMIT, PAGE_MAX_LIMIT, FEED_LIMIT } from "./env.js";
+import { currentSite } from "./sites.js";
+import {
+  cached,
+  delCache,
+  getCache,
+  keysCache,
+  setCache,
+  ttlCache,
+} from "./cache.js";
+import { fetchOmeka } from "./omeka.js";
+import { apiError } from "./utils/errors.js";
 import { retrieveCreators } from "./utils/retrieve.js";
-import { localizeObject } from "./utils/helper.js";
+import { fillTemplate, languageMap, localizeObject } from "./utils/helper.js";
+import { foldChinese } from "./utils/chinese.js";
+import { normalizeCollection, normalizeManifest } from "./utils/iiif.js";
+import { oaiResponse } from "./utils/oai.js";
+import {
+  itemUri,
+  normalizeLinkedArt,
+  normalizeSchemaOrg,
+} from "./utils/jsonld.js";
+import { FEED_FORMATS, renderFeed } from "./utils/feed.js";
+import {
+  EXPORT_EXTENSIONS,
+  EXPORT_FORMATS,
+  renderExport,
+} from "./utils/export.js";
+import {
+  SITEMAP_LIMIT,
+  renderSitemap,
+  renderSitemapIndex,
+  sitemapEntries,
+} from "./utils/sitemap.js";
+import { buildRelatedIndex, scoreRelated } from "./utils/related.js";
+import { buildTimeline } from "./utils/timeline.js";
+import { buildCreatorGraph, renderGraph, selectGraph } from "./utils/graph.js";
 
 const collators = {
   en: new Intl.Collator("en", { sensitivity: "base", numeric: true }),
@@ -31,26 +65,79 @@ const collators = {
   }),
 };
 
-let awaitingAllItems = false;
+// compare localized titles, Traditional Chinese folded to Simplified for pinyin order
+function compareTitles(a, b, lang) {
+  const localA = foldChinese(localizeObject(a.title, lang));
+  const localB = foldChinese(localizeObject(b.title, lang));
+
+  return (collators[lang] ?? collators.en).compare(localA, localB);
+}
+
+// values of the local sorts, see SORTS
+const sortValues = {
+  created: (item) => normalizeValue(item["o:created"]),
+  modified: (item) => normalizeValue(item["o:modified"]),
+  date: (item) => [normalizeValue(item["dcterms:date"])].flat()[0],
+  number: (item) => normalizeValue(item["curation:number"]),
+};
+
+/**
+ * Sort raw items, items without a value last in either order.
+ * relevance keeps the order of the items (ranked by the search index), sortable
+ * linked types sort by the title of the first linked resource.
+ * @param {Object[]} items - raw items
+ * @param {string} sort - see SORTS
+ * @param {"asc"|"desc"} order
+ * @param {string} lang - of the title collation
+ * @param {Object} filters - see getFilters, for the titles of linked resources
+ * @returns {Object[]}
+ */
+function sortItems(items, sort, order, lang, filters) {
+  const direction = order === "desc" ? -1 : 1;
+  if (sort === "relevance")
+    return direction === -1 ? items : items.toReversed();
+
+  const keyed = items.map((item) => {
+    let title;
+    if (sort === "title") {
+      title = normalizeValue(item["dcterms:title"]);
+    } else if (types[sort] != null) {
+      const id = item[types[sort].property]?.[0]?.value_resource_id;
+      title = filters[sort]?.find((linked) => linked.id === id)?.title;
+    }
+
+    return {
+      item,
+      value: sortValues[sort] ? sortValues[sort](item) : title && { title },
+    };
+  });
+  const compare = (a, b) =>
+    typeof a === "object"
+      ? compareTitles(a, b, lang)
+      : typeof a === "number" && typeof b === "number"
+        ? a - b
+        : `${a}`.localeCompare(`${b}`);
+
+  return keyed
+    .sort(
+      (a, b) =>
+        (a.value == null) - (b.value == null) ||
+        (a.value == null ? 0 : direction * compare(a.value, b.value)),
+    )
+    .map(({ item }) => item);
+}
 
 export async function getAllItems(force) {
-  const cached = await getCache("allItems");
-  if (cached && !force) return cached;
-  if (awaitingAllItems) {
-    await new Promise((resolve) => setTimeout(resolve, 500));
-    return await getAllItems();
-  }
-  awaitingAllItems = true;
-  const timeout = setTimeout(() => (awaitingAllItems = false), 1000 * 30);
+  return await cached("allItems", { ttl: 60 * 60, force }, fetchAllItems);
+}
 
+async function fetchAllItems() {
   const allItems = [];
   let page = 1;
 
   while (true) {
-    const response = await fetch(
-      `${OMEKA_API}/items?page=${page}&per_page=${PAGE_LIMIT}`,
-    );
-    const data = await response.json();
+    const data = await fetchOmeka(`/items?page=${page}&per_page=${PAGE_LIMIT}`);
+    if (data.error) return data;
 
     if (data.length === 0) break;
 
@@ -62,30 +149,81 @@ export async function getAllItems(force) {
     await new Promise((resolve) => setTimeout(resolve, 100));
   }
 
-  awaitingAllItems = false;
-  clearTimeout(timeout);
-  return await setCache("allItems", 60 * 60, allItems);
+  return allItems;
+}
+
+// SEARCH INDEX
+// one in-memory index per site, by site name
+const searchIndexes = new Map();
+
+export async function getSearchIndex(force = false) {
+  const { name } = currentSite();
+  if (searchIndexes.has(name) && !force) return await searchIndexes.get(name);
+
+  const searchIndex = getAllItems().then((allItems) => {
+    if (allItems.error) {
+      searchIndexes.delete(name);
+      return allItems;
+    }
+    const index = buildSearchIndex(allItems);
+    console.log(`Built search index of ${name}, ${index.postings.size} terms`);
+    return index;
+  });
+  searchIndexes.set(name, searchIndex);
+  searchIndex.catch(() => searchIndexes.delete(name));
+
+  return await searchIndex;
+}
+
+/**
+ * Raw items of the cached allItems matching parsed filters (see parseQuery) and
+ * optionally ids, ranked by relevance when there is a search.
+ * @param {{properties:Object[], search:[string], dates:?Object}} parsed
+ * @param {number[]} [ids]
+ * @returns {Promise<Object[]|{error:Object}>}
+ */
+async function findItems({ properties, search, dates }, ids) {
+  const allItems = await getAllItems();
+  if (allItems.error) return allItems;
+
+  let items = allItems;
+  if (search.length > 0) {
+    const index = await getSearchIndex();
+    if (index.error) return index;
+    const itemsById = new Map(allItems.map((item) => [item["o:id"], item]));
+
+    items = querySearchIndex(index, search)
+      .map(({ id }) => itemsById.get(id))
+      .filter((item) => item != null);
+  }
+
+  return items.filter(
+    (item) =>
+      (ids == null || ids.includes(item["o:id"])) &&
+      matchProperties(item, properties) &&
+      matchDates(item, dates),
+  );
 }
 
-// FILTER: YEARS
-export async function getFilterYears(allItems) {
-  const years = {};
+// FILTER: LITERAL VALUES (years of dates)
+export async function getFilterValues(key, allItems) {
+  const values = {};
 
   allItems.forEach((item) => {
-    const year = item["dcterms:date"]?.[0]?.["@value"]?.split("-")[0];
-    if (!year) return;
+    const value = literalFilterValue(item, key);
+    if (!value) return;
 
-    years[year] = 1 + (years[year] ?? 0);
+    values[value] = 1 + (values[value] ?? 0);
   });
 
-  const structuredYears = Object.entries(years)
+  const structuredValues = Object.entries(values)
     .map(([value, count]) => ({
       value,
       count,
     }))
     .sort((a, b) => b.count - a.count);
 
-  return structuredYears;
+  return structuredValues;
 }
 
 // FILTER: BY TYPE
@@ -115,42 +253,48 @@ export async function getFilterByType(type, allItems) {
 
 // FILTERS
 export async function getFilters(force = false) {
-  const cached = await getCache("filters");
-  if (cached && !force) return cached;
+  return await cached("filters", { ttl: 60 * 60 * 24, force }, fetchFilters);
+}
 
+async function fetchFilters() {
   const allItems = await getAllItems();
+  if (allItems.error) return allItems;
   const allItemsButIssues = allItems.filter(
     ({ "dcterms:isPartOf": isPartOf }) => !isPartOf,
   );
 
-  const filters = {
-    year: await getFilterYears(allItemsButIssues),
-    creator: await getFilterByType("creator", allItemsButIssues),
-    objectType: await getFilterByType("objectType", allItemsButIssues),
-    theme: await getFilterByType("theme", allItemsButIssues),
-    era: await getFilterByType("era", allItemsButIssues),
-  };
-  return await setCache("filters", 60 * 60 * 24, filters);
+  // all linked types, to resolve linked properties, and the literal facets
+  const filters = {};
+  for (const key of Object.keys(filterConfig)) {
+    if (types[key] != null) {
+      filters[key] = await getFilterByType(key, allItemsButIssues);
+    } else if (facets.includes(key)) {
+      filters[key] = await getFilterValues(key, allItemsButIssues);
+    }
+  }
+  return filters;
 }
 
 export async function getCreators(force = false) {
-  const cached = await getCache("creators");
-  if (cached && !force) return cached;
-
-  const allItems = await getAllItems();
-
-  const creators = allItems
-    .filter((item) => item["@type"].includes(types.creator.term))
-    .map(normalizeOmekaFields);
-
-  return await setCache("creators", 60 * 60 * 24, creators);
+  return await cached("creators", { ttl: 60 * 60 * 24, force }, async () => {
+    // no creators without a creator type in the types config
+    if (types.creator == null) return [];
+    const allItems = await getAllItems();
+    if (allItems.error) return allItems;
+
+    return allItems
+      .filter((item) => item["@type"].includes(types.creator.term))
+      .map(normalizeOmekaFields);
+  });
 }
 
 export async function getCounts(force = false) {
-  const cached = await getCache("counts");
-  if (cached && !force) return cached;
+  return await cached("counts", { ttl: 60 * 60 * 24, force }, fetchCounts);
+}
 
+async function fetchCounts() {
   const allItems = await getAllItems();
+  if (allItems.error) return allItems;
   const allItemsButIssues = allItems.filter(
     ({ "dcterms:isPartOf": isPartOf }) => !isPartOf,
   );
@@ -161,78 +305,199 @@ export async function getCounts(force = false) {
     creators: types.filter((type) => type === "creator").length,
     objects: types.filter((type) => type === "object").length,
   };
-  return await setCache("counts", 60 * 60 * 24, counts);
+  return counts;
 }
 
 // FEATURED
 export async function getFeatured() {
-  const cached = await getCache("featured");
-  if (cached) return cached;
+  return await cached("featured", { ttl: 60 * 17 }, async () => {
+    const json = await fetchOmeka(
+      `/items?item_set_id=${currentSite().FEATURED_ITEM_SET}`,
+    );
+    if (json.error) return json;
 
-  const url = `${OMEKA_API}/items?item_set_id=${FEATURED_ITEM_SET}`;
-  const res = await fetch(url);
+    const filters = await getFilters();
+    if (filters.error) return filters;
 
-  if (!res.ok) return { error: res };
-  const filters = await getFilters();
+    return json.map((item) => normalizeOmekaFields(item, filters));
+  });
+}
 
-  const json = await res.json();
-  const featured = json.map((item) => normalizeOmekaFields(item, filters));
+export async function getHeroes() {
+  return await cached("heroes", { ttl: 60 * 60 * 24 * 7 }, async () => {
+    const json = await fetchOmeka(
+      `/items?item_set_id=${currentSite().HEROES_ITEM_SET}`,
+    );
+    if (json.error) return json;
 
-  return await setCache("featured", 60 * 17, featured);
+    return json.map((item) => normalizeHero(item));
+  });
 }
 
-export async function getHeroes() {
-  const cached = await getCache("heroes");
-  if (cached) return cached;
+// ITEMS
+export async function getItem(id) {
+  return await cached(`item:${id}`, { ttl: 60 * 60 * 12 }, async () => {
+    const filters = await getFilters();
+    if (filters.error) return filters;
 
-  const url = `${OMEKA_API}/items?item_set_id=${HEROES_ITEM_SET}`;
-  const res = await fetch(url);
+    const json = await fetchOmeka(`/items/${id}`);
+    if (json.error) return json;
 
-  if (!res.ok) return { error: res };
+    return normalizeOmekaFields(json, filters, {
+      description: true,
+      heroes: true,
+      items: true,
+    });
+  });
+}
 
-  const json = await res.json();
-  const heroes = json.map((item) => normalizeHero(item));
+export async function getItemLinkedData(id, format, lang) {
+  const item = await getItem(id);
+  if (item.error) return item;
 
-  return await setCache("heroes", 60 * 60 * 24 * 7, heroes);
+  return format === "linkedart"
+    ? normalizeLinkedArt(item)
+    : normalizeSchemaOrg(item, lang);
 }
 
-// ITEMS
-export async function getItem(id) {
-  const cached = await getCache(`item:${id}`);
-  if (cached) return cached;
+export async function getItemDetails(id) {
+  return await cached(`item:details:${id}`, { ttl: 60 * 60 * 12 }, async () => {
+    const item = await getItem(id);
+    if (item.error) return item;
+
+    if (item.media == null || item.media.length < 1) return [];
+
+    const mediaItems = await fetchOmeka(`/media?id=${item.media.join(",")}`);
+    if (mediaItems.error) return mediaItems;
+
+    const media = normalizeMedia(mediaItems);
+    const html = normalizeHtml(mediaItems);
 
+    return { media, html };
+  });
+}
+
+// RELATED
+export async function getRelatedIndex(force = false) {
+  return await cached("related", { ttl: 60 * 60 * 24, force }, async () => {
+    const allItems = await getAllItems();
+    if (allItems.error) return allItems;
+
+    return buildRelatedIndex(allItems);
+  });
+}
+
+/**
+ * The items most related to an item, best first, see scoreRelated.
+ * Scored on first request and cached per item.
+ * @param {number} id
+ * @param {number} limit
+ * @returns {Promise<Object[]|{error:Object}>} normalized items
+ */
+export async function getRelatedItems(id, limit) {
+  const allItems = await getAllItems();
+  if (allItems.error) return allItems;
   const filters = await getFilters();
-  const res = await fetch(`${OMEKA_API}/items/${id}`);
+  if (filters.error) return filters;
+
+  const itemsById = new Map(allItems.map((item) => [item["o:id"], item]));
+  if (!itemsById.has(+id)) return { error: apiError(404) };
+
+  const scores = await cached(
+    `related:${id}`,
+    { ttl: 60 * 60 * 24 },
+    async () => {
+      const index = await getRelatedIndex();
+      if (index.error) return index;
+      return scoreRelated(index, +id);
+    },
+  );
+  if (scores.error) return scores;
 
-  if (!res.ok) return { error: res };
+  return scores
+    .map(([relatedId]) => itemsById.get(relatedId))
+    .filter(Boolean)
+    .slice(0, limit)
+    .map((item) => normalizeOmekaFields(item, filters));
+}
 
-  const json = await res.json();
-  const item = normalizeOmekaFields(json, filters, {
-    description: true,
-    heroes: true,
-    items: true,
+// GRAPH
+export async function getCreatorGraph(force = false) {
+  return await cached(
+    "graph:creators",
+    { ttl: 60 * 60 * 24, force },
+    async () => {
+      const allItems = await getAllItems();
+      if (allItems.error) return allItems;
+      const creators = await getCreators();
+      if (creators.error) return creators;
+      const filters = await getFilters();
+      if (filters.error) return filters;
+
+      return buildCreatorGraph(allItems, creators, filters);
+    },
+  );
+}
+
+/**
+ * The creator graph, or the ego network of creator id, rendered as format.
+ * @param {number} [id]
+ * @param {{format?:string, include?:string, depth?:number, lang?:string}} query
+ * @returns {Promise<{body:Object|string, format:string}|{error:Object}>}
+ */
+export async function getGraph(id, query = {}) {
+  const graph = await getCreatorGraph();
+  if (graph.error) return graph;
+
+  const selected = selectGraph(graph, {
+    include: query.include?.split(",") ?? [],
+    id: id == null ? undefined : +id,
+    depth: query.depth,
   });
+  if (selected == null) return { error: apiError(404, "Creator not found") };
 
-  return await setCache(`item:${id}`, 60 * 60 * 12, item);
+  const format = query.format ?? "json";
+  // labels of the xml formats can't be language maps
+  const lang = format === "json" ? query.lang : (query.lang ?? "en");
+
+  return { format, body: renderGraph(format, selected, lang) };
 }
 
-export async function getItemDetails(id) {
-  const cached = await getCache(`item:details:${id}`);
-  if (cached) return cached;
+// IIIF
+export async function getManifest(id) {
   const item = await getItem(id);
+  if (item.error) return item;
 
-  if (item.media == null || item.media.length < 1) return [];
+  const details = await getItemDetails(id);
+  if (details.error) return details;
 
-  const res = await fetch(`${OMEKA_API}/media?id=${item.media.join(",")}`);
+  return normalizeManifest(item, details);
+}
 
-  if (!res.ok) return { error: res };
+export async function getCollection(id) {
+  const item = await getItem(id);
+  if (item.error) return item;
 
-  const mediaItems = await res.json();
+  const allItems = await getAllItems();
+  if (allItems.error) return allItems;
+  const members = (item.items ?? [])
+    .map((memberId) => allItems.find((member) => member["o:id"] === memberId))
+    .filter(Boolean)
+    .map((member) => normalizeOmekaFields(member, {}));
 
-  const media = normalizeMedia(mediaItems);
-  const html = normalizeHtml(mediaItems);
+  return normalizeCollection(item, members);
+}
+
+// OAI-PMH
+export async function getOai(args) {
+  const allItems = await getAllItems();
+  if (allItems.error) return allItems;
+  const ids = await getIds();
+  if (ids.error) return ids;
+  const filters = await getFilters();
+  if (filters.error) return filters;
 
-  return await setCache(`item:details:${id}`, 60 * 60 * 12, { media, html });
+  return oaiResponse(args, { allItems, ids, filters });
 }
 
 export async function queryItems(
@@ -242,185 +507,583 @@ export async function queryItems(
 ) {
   if (id != null) {
     const item = await getItem(id);
+    if (item.error) return item;
     if (item.items == null || item.items.length < 1) return {};
     query.id = item.items.join(",");
   }
 
-  const { queryString, isFiltered, limit } = parseQuery(query);
+  const parsed = parseQuery(query);
+  const { queryString, isFiltered, limit } = parsed;
 
-  const sortObjects = id != null || query.search != null;
+  const isSearch = parsed.search.length > 0;
+  // searches match the local search index, so they are sorted locally too
+  const isLocalSort =
+    isSearch ||
+    !["created", "modified"].includes(parsed.sort) ||
+    parsed.isLocal;
   const lang = query.lang ?? "en";
-  const cached = await getCache(
-    `query:${queryString}${sortObjects ? `:${lang}` : ""}`,
-  );
-  if (cached) return cached;
-
-  const url = `${OMEKA_API}/items?sort_by=created&sort_order=desc&${queryString}`;
-
-  const res = await fetch(url);
-
-  if (!res.ok) return { error: res };
-  const filters = await getFilters();
-
-  const json = await res.json();
-  const items = json.map((item) => {
-    item = normalizeOmekaFields(item, filters, {
-      text: true,
-      description: true,
-    });
-    if (normalizeSearchString(query.search).length > 0) {
-      item.snippets = extractSnippets(item, query.search);
-    }
-    delete item.text;
-    delete item.description;
-
-    return item;
-  });
-
-  const hasNextPage = items.length >= limit;
-
-  if (options.retrieveCreators) {
-    const creators = await getCreators();
-    items.push(...retrieveCreators(items, creators, id));
-  }
-
-  const ignoreParts = id == null && query.search == null;
-
-  const creators = items.filter(({ type }) => type === "creator");
-  const objects = items
-    .filter(({ type }) => type === "object")
-    .filter(({ isPart }) => !ignoreParts || !isPart);
-
-  const counts = {
-    creators: creators.length,
-    objects: objects.length,
-  };
-
-  if (hasNextPage) {
-    const totalCounts = await getCounts();
-    counts.creators = totalCounts.creators;
-    counts.objects = totalCounts.objects;
-  }
-
-  const queryFilters = isFiltered ? normalizeItemFilters(items) : null;
+  const isTitleSort = parsed.sort === "title" || types[parsed.sort] != null;
+  const cacheKey = `query:${queryString}${isTitleSort || isSearch ? `:${lang}` : ""}`;
+  return await cached(
+    cacheKey,
+    { ttl: options.ttl ?? 60 * 60 * 6 },
+    async () => {
+      let json, hasNextPage;
+
+      // the whole matching set, for exact totals and facets
+      const ids = query.id?.split(",").map(Number);
+      const candidates = await findItems({ ...parsed, properties: [] }, ids);
+      if (candidates.error) return candidates;
+      const matches = candidates.filter((item) =>
+        matchProperties(item, parsed.properties),
+      );
+
+      const filters = await getFilters();
+      if (filters.error) return filters;
+
+      if (isLocalSort) {
+        // ranked by getSearchIndex for relevance, see sortItems for the others
+        const sorted = sortItems(
+          matches,
+          parsed.sort,
+          parsed.order,
+          lang,
+          filters,
+        );
+        const start = (parsed.page - 1) * limit;
+        json = sorted.slice(start, start + limit);
+        hasNextPage = sorted.length > start + limit;
+      } else {
+        json = await fetchOmeka(`/items?${queryString}`);
+        if (json.error) return json;
+
+        hasNextPage = json.length >= limit;
+      }
+
+      const allCreators = await getCreators();
+      if (allCreators.error) return allCreators;
+
+      const items = json.map((item) => {
+        item = normalizeOmekaFields(item, filters, {
+          text: true,
+          description: true,
+        });
+        if (isSearch) {
+          item.snippets = extractSnippets(item, query.search);
+        }
+        delete item.text;
+        delete item.description;
+
+        return item;
+      });
+
+      if (options.retrieveCreators) {
+        items.push(...retrieveCreators(items, allCreators, id));
+      }
+
+      const ignoreParts = id == null && query.search == null;
+
+      const creators = items.filter(({ type }) => type === "creator");
+      const objects = items
+        .filter(({ type }) => type === "object")
+        .filter(({ isPart }) => !ignoreParts || !isPart);
+
+      const isListedObject = (item) =>
+        normalizeType(item) === "object" &&
+        (!ignoreParts || item["dcterms:isPartOf"] == null);
+      const matchingObjects = matches.filter(isListedObject);
+
+      // creators matching themselves, and the ones retrieveCreators adds for the matching objects
+      const creatorIds = new Set(allCreators.map(({ id }) => id));
+      const matchingCreators = new Set(
+        [
+          ...matches.map((item) => item["o:id"]),
+          ...(options.retrieveCreators && types.creator != null
+            ? matchingObjects.flatMap(
+                (item) =>
+                  item[types.creator.property]?.map(
+                    ({ value_resource_id: id }) => id,
+                  ) ?? [],
+              )
+            : []),
+        ].filter((creatorId) => creatorIds.has(creatorId) && creatorId != id),
+      );
+
+      const counts = {
+        creators: matchingCreators.size,
+        objects: matchingObjects.length,
+      };
 
-  const sortedCreators = (options.removeCreators ? [] : creators).toSorted(
-    (a, b) => {
-      const localA = localizeObject(a.title, lang);
-      const localB = localizeObject(b.title, lang);
+      const queryFilters = isFiltered
+        ? normalizeItemFilters(
+            candidates.filter(isListedObject),
+            parsed.properties,
+          )
+        : null;
 
-      return collators[lang].compare(localA, localB);
-    },
-  );
+      const sortedCreators = (options.removeCreators ? [] : creators).toSorted(
+        (a, b) => compareTitles(a, b, lang),
+      );
 
-  const sortedObjects =
-    (sortObjects &&
-      objects.toSorted((a, b) => {
-        const localA = localizeObject(a.title, lang);
-        const localB = localizeObject(b.title, lang);
-
-        return collators[lang].compare(localA, localB);
-      })) ||
-    objects;
-
-  return await setCache(
-    `query:${queryString}${sortObjects ? `:${lang}` : ""}`,
-    options.ttl ?? 60 * 60 * 6,
-    {
-      items: [...sortedObjects, ...sortedCreators],
-      filters: queryFilters,
-      hasNextPage,
-      counts,
+      return {
+        items: [...objects, ...sortedCreators],
+        filters: queryFilters,
+        hasNextPage,
+        counts,
+        total: matches.length,
+        totalPages: Math.ceil(matches.length / limit),
+      };
     },
   );
 }
 
 export async function queryCreators(query = {}) {
   const creators = await getCreators();
+  if (creators.error) return creators;
 
   const hasNextPage = false;
   const totalCounts = await getCounts();
+  if (totalCounts.error) return totalCounts;
   const counts = {
     ...totalCounts,
   };
 
   const lang = query.lang ?? "en";
-  const items = creators.toSorted((a, b) => {
-    const localA = localizeObject(a.title, lang);
-    const localB = localizeObject(b.title, lang);
-
-    return collators[lang].compare(localA, localB);
-  });
+  const items = creators.toSorted((a, b) => compareTitles(a, b, lang));
 
   return {
     items,
     filters: null,
     hasNextPage,
     counts,
+    total: items.length,
+    totalPages: 1,
   };
 }
 
 export async function getPage(slug, lang) {
   const localSlug = `${slug}-${lang}`;
 
-  const cached = await getCache(`page:${localSlug}`);
-  if (cached) return cached;
+  return await cached(`page:${localSlug}`, { ttl: 60 * 60 * 24 }, async () => {
+    const json = await fetchOmeka(
+      `/site_pages?site=${currentSite().OMEKA_SITE}&slug=${localSlug}`,
+    );
+    if (json.error) return json;
 
-  const url = `${OMEKA_API}/site_pages?site=${OMEKA_SITE}&slug=${localSlug}`;
+    const page = normalizePage(json);
+    if (page == null) return { error: apiError(404, "Page not found") };
 
-  const res = await fetch(url);
+    return page;
+  });
+}
 
-  if (!res.ok) return { error: res };
+export async function getSitePages(force = false) {
+  return await cached("pages", { ttl: 60 * 60 * 24, force }, async () => {
+    const json = await fetchOmeka(
+      `/site_pages?site=${currentSite().OMEKA_SITE}&per_page=${PAGE_MAX_LIMIT}`,
+    );
+    if (json.error) return json;
 
-  const json = await res.json();
-  const page = normalizePage(json);
+    const pages = json.map(({ "o:slug": slug, "o:modified": modified }) => ({
+      slug,
+      modified: normalizeValue(modified)?.split("T")[0],
+    }));
 
-  if (page == null)
-    return {
-      error: {
-        statusCode: 404,
-        payload: "Page not found",
-      },
-    };
+    return pages;
+  });
+}
+
+// SITEMAP
+export async function getSitemap(n) {
+  const ids = await getIds();
+  if (ids.error) return ids;
+  const pages = await getSitePages();
+  if (pages.error) return pages;
+
+  const entries = sitemapEntries(ids, pages);
+  const chunks = [];
+  for (let i = 0; i < entries.length; i += SITEMAP_LIMIT) {
+    chunks.push(entries.slice(i, i + SITEMAP_LIMIT));
+  }
+
+  if (n == null) {
+    return chunks.length > 1
+      ? renderSitemapIndex(chunks)
+      : renderSitemap(entries);
+  }
+
+  if (chunks[n - 1] == null)
+    return { error: apiError(404, "Sitemap not found") };
 
-  return await setCache(`page:${localSlug}`, 60 * 60 * 24, page);
+  return renderSitemap(chunks[n - 1]);
 }
 
-export async function getLastModified(ms, limit = 20) {
-  const url = `${OMEKA_API}/items?sort_by=modified&sort_order=desc&per_page=${limit}&page=1`;
+// objects (parts excluded) of the cached allItems matching the filters and search of a query
+async function matchingItems(query) {
+  const items = await findItems(parseQuery(query));
+  if (items.error) return items;
 
-  const res = await fetch(url);
-  if (!res.ok) return { error: res };
+  return items.filter(
+    (item) =>
+      normalizeType(item) === "object" && item["dcterms:isPartOf"] == null,
+  );
+}
 
-  const items = await res.json();
+// TIMELINE
+export async function getTimeline(query = {}) {
+  const items = await matchingItems(query);
+  if (items.error) return items;
+  const allItems = await getAllItems();
+  if (allItems.error) return allItems;
+  const filters = await getFilters();
+  if (filters.error) return filters;
 
-  const currentTime = new Date().getTime();
+  const eras = allItems.filter((item) => normalizeType(item) === "era");
 
-  const modifiedItems = items.filter(({ "o:modified": modified }) => {
-    const itemTime = new Date(normalizeValue(modified)).getTime();
-    return currentTime - itemTime < ms;
+  return buildTimeline(items, eras, {
+    unit: query.unit ?? "year",
+    samples: query.samples ?? 3,
+    filters,
   });
+}
+
+// FEEDS
+const feedTitles = {
+  new: languageMap({ en: "New items", zh: "新增条目" }),
+  newsletters: languageMap({ en: "Newsletters", zh: "通讯" }),
+  query: languageMap({ en: "New items", zh: "新增条目" }),
+};
+
+export async function getFeed(name, format, query = {}) {
+  if (feedTitles[name] == null || FEED_FORMATS[format] == null)
+    return { error: apiError(404, "Feed not found") };
+
+  const { API_URL, SITE_NAME, SITEMAP_ITEM_URL, NEWSLETTER_TYPE_ID } =
+    currentSite();
+  const lang = query.lang ?? "en";
+  const limit = Math.min(+query.limit || FEED_LIMIT, PAGE_LIMIT);
+  const matches = await matchingItems(
+    name === "newsletters"
+      ? { objectType: NEWSLETTER_TYPE_ID }
+      : name === "query"
+        ? query
+        : {},
+  );
+  if (matches.error) return matches;
+  const filters = await getFilters();
+  if (filters.error) return filters;
+
+  // newest first, only the items in the feed are normalized
+  const items = matches
+    .map((item) => [item, new Date(normalizeValue(item["o:created"]))])
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, limit)
+    .map(([item]) => ({
+      ...localizeObject(
+        normalizeOmekaFields(item, filters, { description: true }),
+        lang,
+      ),
+      created: normalizeValue(item["o:created"]),
+      modified: normalizeValue(item["o:modified"]),
+    }));
+
+  const params = new URLSearchParams(name === "query" ? query : { lang });
+
+  return {
+    type: FEED_FORMATS[format],
+    body: renderFeed(format, {
+      id: `${API_URL}/feeds/${name}.${format}?${params}`,
+      title: `${SITE_NAME} – ${localizeObject(feedTitles[name], lang)}`,
+      link: new URL(SITEMAP_ITEM_URL).origin,
+      lang,
+      updated:
+        items
+          .map(({ modified, created }) => modified ?? created)
+          .toSorted()
+          .at(-1) ?? new Date().toISOString(),
+      items: items.map((item) => ({
+        id: itemUri(item.id),
+        url: fillTemplate(SITEMAP_ITEM_URL, { lang, id: item.id }),
+        title: item.title,
+        summary: item.description,
+        created: item.created,
+        modified: item.modified,
+        image: item.thumbnailLarge ?? item.thumbnail,
+        authors: item.creator?.map(({ title }) => title),
+      })),
+    }),
+  };
+}
+
+// EXPORT
+/**
+ * All objects matching a query of /query/:id (unpaged) in one of EXPORT_FORMATS.
+ * The body is a stream normalizing and rendering the items while it is read.
+ * @param {number} id - item listing the items, see queryItems
+ * @param {Object} query - see parseQuery, and format
+ * @param {string|string[]} [languages] - see localizeObject, query.lang by default
+ * @returns {Promise<{type:string, filename:string, body:Readable}|{error:Object}>}
+ */
+
+export async function exportItems(id, query = {}, languages = query.lang) {
+  const format = query.format ?? "csv";
+  if (EXPORT_FORMATS[format] == null)
+    return { error: apiError(404, "Export format not found") };
+
+  const item = await getItem(id);
+  if (item.error) return item;
+  query = { ...query, id: (item.items ?? []).join(",") };
+
+  const parsed = parseQuery(query);
+  const ids = query.id.split(",").filter(Boolean).map(Number);
+  const matches = await findItems(parsed, ids);
+  if (matches.error) return matches;
+  const filters = await getFilters();
+  if (filters.error) return filters;
+
+  const lang = query.lang ?? "en";
+  const objects = sortItems(
+    matches.filter((item) => normalizeType(item) === "object"),
+    parsed.sort,
+    parsed.order,
+    lang,
+    filters,
+  );
+
+  const { SITE_NAME, SITEMAP_ITEM_URL } = currentSite();
+  const rows = (function* () {
+    for (const object of objects) {
+      const fields = normalizeOmekaFields(object, filters, {
+        description: true,
+      });
+      yield {
+        ...localizeObject(fields, languages),
+        url: fillTemplate(SITEMAP_ITEM_URL, { lang, id: fields.id }),
+      };
+    }
+  })();
+
+  return {
+    type: EXPORT_FORMATS[format],
+    filename: `export-${id}.${EXPORT_EXTENSIONS[format]}`,
+    body: Readable.from(
+      renderExport(format, rows, { lang, siteName: SITE_NAME }),
+      { objectMode: false },
+    ),
+  };
+}
+
+// SYNC
+/**
+ * Fetch a single raw item, null if it does not exist (anymore).
+ * @param {number} id
+ * @returns {Promise<Object|null|{error:Object}>}
+ */
+export async function getRawItem(id) {
+  const item = await fetchOmeka(`/items/${id}`);
+  return item.error?.statusCode === 404 ? null : item;
+}
+
+/**
+ * Fetch a single raw media, null if it does not exist (anymore).
+ * @param {number} id
+ * @returns {Promise<Object|null|{error:Object}>}
+ */
+export async function getRawMedia(id) {
+  const media = await fetchOmeka(`/media/${id}`);
+  return media.error?.statusCode === 404 ? null : media;
+}
+
+/**
+ * Fetch all items modified since a timestamp, paging through sort_by=modified.
+ * The second of the timestamp is included, omeka datestamps have no milliseconds.
+ * @param {number} since - timestamp in ms
+ * @returns {Promise<Object[]|{error:Object}>} raw items, most recently modified first
+ */
+export async function getModifiedSince(since) {
+  const modifiedItems = [];
+  let page = 1;
+
+  while (true) {
+    const items = await fetchOmeka(
+      `/items?sort_by=modified&sort_order=desc&per_page=${PAGE_LIMIT}&page=${page}`,
+    );
+    if (items.error) return items;
+
+    const newer = items.filter(
+      ({ "o:modified": modified }) =>
+        new Date(normalizeValue(modified)).getTime() >= since,
+    );
+    modifiedItems.push(...newer);
+
+    if (items.length < PAGE_LIMIT || newer.length < items.length) break;
+    page++;
+  }
+
+  return modifiedItems;
+}
+
+/**
+ * Patch modified raw items into the cached allItems (and drop deleted ones) and update
+ * what depends on them: item caches are dropped, ids, creators, counts and the search
+ * index are patched and only the filters whose values changed are recomputed.
+ * @param {Object[]} modifiedItems - raw items
+ * @param {number[]} [deletedIds]
+ * @returns {Promise<{patched:number, filters:string[]}>}
+ */
+export async function patchAllItems(modifiedItems, deletedIds = []) {
+  const changedIds = [
+    ...modifiedItems.map((item) => item["o:id"]),
+    ...deletedIds,
+  ];
+  if (changedIds.length === 0) return { patched: 0, filters: [] };
 
   await Promise.all(
-    modifiedItems.map(async ({ "o:id": id }) => {
+    changedIds.map(async (id) => {
       await delCache(`item:details:${id}`);
       return await delCache(`item:${id}`);
     }),
   );
+  // every cached filter, search and sort may list the changed items
+  for (const key of await keysCache("query:*")) await delCache(key);
+
+  const ttl = await ttlCache("allItems");
+  const allItems = await getCache("allItems");
+  // nothing to patch, the next getAllItems fetches everything
+  if (allItems == null || ttl <= 0) return { patched: 0, filters: [] };
+
+  const previous = new Map(allItems.map((item) => [item["o:id"], item]));
+  const modified = new Map(modifiedItems.map((item) => [item["o:id"], item]));
+  const patchedItems = [
+    ...allItems
+      .filter((item) => !deletedIds.includes(item["o:id"]))
+      .map((item) => modified.get(item["o:id"]) ?? item),
+    ...modifiedItems.filter((item) => !previous.has(item["o:id"])),
+  ];
+  await setCache("allItems", ttl, patchedItems);
+
+  // [before, after] per changed item, either side missing for new or deleted items
+  const changes = changedIds
+    .map((id) => [previous.get(id), modified.get(id)])
+    .filter(([before, after]) => before != null || after != null);
+
+  // filters, only the ones whose values or linked resources changed
+  const changedFilters = Object.keys(types).filter((key) =>
+    changes.some(
+      ([before, after]) =>
+        [before, after].some((item) => item && normalizeType(item) === key) ||
+        JSON.stringify(linkedIds(before, types[key].property)) !==
+          JSON.stringify(linkedIds(after, types[key].property)),
+    ),
+  );
+  changedFilters.push(
+    ...facets.filter(
+      (key) =>
+        types[key] == null &&
+        changes.some(
+          ([before, after]) =>
+            (before && literalFilterValue(before, key)) !==
+            (after && literalFilterValue(after, key)),
+        ),
+    ),
+  );
 
-  return modifiedItems;
+  const filters = await getCache("filters");
+  if (filters != null && changedFilters.length > 0) {
+    const allItemsButIssues = patchedItems.filter(
+      ({ "dcterms:isPartOf": isPartOf }) => !isPartOf,
+    );
+    for (const key of changedFilters) {
+      filters[key] =
+        types[key] == null
+          ? await getFilterValues(key, allItemsButIssues)
+          : await getFilterByType(key, allItemsButIssues);
+    }
+    await setCache("filters", await ttlCache("filters"), filters);
+  }
+
+  // creators
+  const creators = await getCache("creators");
+  if (
+    creators != null &&
+    changes.some(([before, after]) =>
+      [before, after].some((item) => item && normalizeType(item) === "creator"),
+    )
+  ) {
+    const normalized = new Map(
+      modifiedItems
+        .filter((item) => normalizeType(item) === "creator")
+        .map((item) => [item["o:id"], normalizeOmekaFields(item, {})]),
+    );
+    await setCache("creators", await ttlCache("creators"), [
+      ...creators
+        .filter(({ id }) => !changedIds.includes(id) || normalized.has(id))
+        .map((creator) => normalized.get(creator.id) ?? creator),
+      ...[...normalized.values()].filter(
+        ({ id }) => !creators.some((creator) => creator.id === id),
+      ),
+    ]);
+  }
+
+  // counts only change with new, deleted or retyped items
+  if (
+    changes.some(
+      ([before, after]) =>
+        before == null ||
+        after == null ||
+        normalizeType(before) !== normalizeType(after) ||
+        (before["dcterms:isPartOf"] == null) !==
+          (after["dcterms:isPartOf"] == null),
+    )
+  ) {
+    await getCounts(true);
+  }
+
+  // the related index and scores and the creator graph are rebuilt when asked for next,
+  // not in the sync
+  await delCache("related");
+  for (const key of await keysCache("related:*")) await delCache(key);
+  await delCache("graph:creators");
+
+  // ids
+  const ids = await getCache("ids");
+  if (ids != null) {
+    modifiedItems.forEach(({ "o:id": id, "o:modified": modified }) => {
+      ids[id] = normalizeValue(modified).split("T")[0];
+    });
+    deletedIds.forEach((id) => delete ids[id]);
+    await setCache("ids", await ttlCache("ids"), ids);
+  }
+
+  const searchIndex = searchIndexes.get(currentSite().name);
+  if (searchIndex) {
+    const index = await searchIndex;
+    if (!index.error) {
+      updateSearchIndex(index, modifiedItems);
+      deletedIds.forEach((id) => removeFromSearchIndex(index, id));
+    }
+  }
+
+  return { patched: changes.length, filters: changedFilters };
+}
+
+function linkedIds(item, property) {
+  return (item?.[property] ?? [])
+    .map(({ value_resource_id: id }) => id)
+    .filter((id) => id != null)
+    .sort((a, b) => a - b);
 }
 
 export async function getIds(force) {
-  const cached = await getCache("ids");
-  if (cached && !force) return cached;
+  return await cached("ids", { ttl: 60 * 60 * 24 * 7, force }, async () => {
+    const allItems = await getAllItems();
+    if (allItems.error) return allItems;
 
-  const allItems = await getAllItems();
-  const ids = Object.fromEntries(
-    allItems.map(({ "o:id": id, "o:modified": modified }) => [
-      id,
-      modified["@value"].split("T")[0],
-    ]),
-  );
-  return await setCache("ids", 60 * 60 * 24 * 7, ids);
+    return Object.fromEntries(
+      allItems.map(({ "o:id": id, "o:modified": modified }) => [
+        id,
+        modified["@value"].split("T")[0],
+      ]),
+    );
+  });
 }
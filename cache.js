@@ -0,0 +1,189 @@
+import {
+  CACHE_BACKEND,
+  CACHE_GRACE,
+  CACHE_MEMORY_MAX_ENTRIES,
+  CACHE_MEMORY_MAX_SIZE,
+  REDIS_HOST,
+  REDIS_PORT,
+} from "./env.js";
+import { createMemoryCache } from "./memory.js";
+import { createRedisCache, isConnectionError } from "./redis.js";
+import { currentSite } from "./sites.js";
+
+// CACHE
+// CACHE_BACKEND=redis uses redis and degrades to the in-memory cache while redis is unreachable,
+// CACHE_BACKEND=memory only uses the in-memory cache (no redis server needed).
+// Keys are namespaced by the current site ("cua:allItems"), callers only see their own keys
+
+const memoryCache = createMemoryCache({
+  maxEntries: +CACHE_MEMORY_MAX_ENTRIES,
+  maxSize: +CACHE_MEMORY_MAX_SIZE * 1024 * 1024,
+});
+
+const redisCache =
+  CACHE_BACKEND === "redis"
+    ? createRedisCache({ host: REDIS_HOST, port: REDIS_PORT })
+    : null;
+
+const run = createFallback(redisCache, memoryCache);
+
+/**
+ * Run cache commands on redis, on the in-memory cache while redis is unreachable.
+ * The in-memory cache is flushed when redis is reachable again.
+ * @param {Object|null} redisCache - see createRedisCache, null for memory only
+ * @param {Object} memoryCache - see createMemoryCache
+ * @returns {(command:string, ...args) => Promise<*>}
+ */
+
+export function createFallback(redisCache, memoryCache) {
+  let degraded = false;
+
+  return async function run(command, ...args) {
+    await redisCache?.connected;
+
+    if (redisCache?.isReady()) {
+      try {
+        const result = await redisCache[command](...args);
+        if (degraded) {
+          degraded = false;
+          // entries written meanwhile would be stale when degrading again
+          await memoryCache.flush();
+          console.log("Redis reachable again, leaving in-memory cache");
+        }
+        return result;
+      } catch (err) {
+        // only an unreachable redis degrades to memory, other errors are the caller's
+        if (!isConnectionError(err)) throw err;
+        console.error(`Redis ${command} failed`, err.message);
+      }
+    }
+
+    if (redisCache != null && !degraded) {
+      degraded = true;
+      console.warn("Redis unreachable, falling back to in-memory cache");
+    }
+    return await memoryCache[command](...args);
+  };
+}
+
+export async function getCache(key) {
+  return await run("get", scoped(key));
+}
+
+// ttlCache of a missing (-2) or persistent (-1) key is no ttl, at least a second is kept
+export async function setCache(key, seconds, json) {
+  return await run("set", scoped(key), Math.max(1, Math.ceil(seconds)), json);
+}
+
+// only the keys of the current site
+export async function flushCache() {
+  const pattern = scoped("*");
+  for (const key of await memoryCache.keys(pattern)) await memoryCache.del(key);
+  for (const key of await run("keys", pattern)) await run("del", key);
+}
+
+export async function ttlCache(key) {
+  return await run("ttl", scoped(key));
+}
+
+export async function delCache(key) {
+  await memoryCache.del(scoped(key));
+  await run("del", scoped(key));
+}
+
+export async function keysCache(pattern) {
+  const prefix = scoped("");
+  return (await run("keys", scoped(pattern))).map((key) =>
+    key.slice(prefix.length),
+  );
+}
+
+function scoped(key) {
+  return `${currentSite().name}:${key}`;
+}
+
+// in-flight fetches by key, shared by concurrent callers
+const pending = new Map();
+
+// stale and grace seconds of the keys of cached(), to tell their fresh ttl
+const policies = new Map();
+
+/**
+ * Seconds a key of cached() stays fresh, its ttl without the stale and grace
+ * periods it is stored with.
+ * @param {string} key
+ * @returns {Promise<number>} 0 or less when stale, expired or unknown
+ */
+
+export async function freshTtlCache(key) {
+  const policy = policies.get(scoped(key));
+  const remaining = await ttlCache(key);
+  if (policy == null || remaining <= 0) return 0;
+  return remaining - policy.stale - policy.grace;
+}
+
+/**
+ * Cached fetch with per-key single-flight and stale-while-revalidate:
+ * - fresh for `ttl` seconds, then served stale for another `stale` seconds
+ *   while one background fetch refreshes it
+ * - concurrent misses for the same key share one fetch
+ * - expired values are kept for another CACHE_GRACE seconds and served
+ *   when the fetch fails (e.g. while omeka is down)
+ * - results with an error are not cached, except 404s for `negativeTtl` seconds
+ * @param {string} key
+ * @param {{ttl:number, stale?:number, negativeTtl?:number, force?:boolean}} options
+ * @param {() => Promise<*>} fetcher
+ * @returns {Promise<*>}
+ */
+
+export async function cached(
+  key,
+  { ttl, stale = ttl, negativeTtl = 60, force = false },
+  fetcher,
+) {
+  const grace = +CACHE_GRACE;
+  const options = { ttl, stale, grace, negativeTtl };
+  policies.set(scoped(key), { stale, grace });
+
+  const value = await getCache(key);
+  if (value?.error) {
+    if (!force) return value;
+  } else if (value != null) {
+    const remaining = await ttlCache(key);
+    if (!force && remaining > grace) {
+      if (remaining <= grace + stale) {
+        refresh(key, options, fetcher).catch((err) =>
+          console.error(`Refreshing ${key} failed`, err),
+        );
+      }
+      return value;
+    }
+  }
+
+  const fresh = await refresh(key, options, fetcher);
+  const failed = fresh?.error && fresh.error.statusCode !== 404;
+  if (failed && value != null && !value.error) {
+    console.error(`Serving last good ${key}: ${fresh.error.message}`);
+    return value;
+  }
+  return fresh;
+}
+
+function refresh(key, { ttl, stale, grace, negativeTtl }, fetcher) {
+  const pendingKey = scoped(key);
+  if (pending.has(pendingKey)) return pending.get(pendingKey);
+
+  const promise = (async () => {
+    const value = await fetcher();
+
+    if (value?.error) {
+      if (value.error.statusCode !== 404) return value;
+      return await setCache(key, negativeTtl, { error: value.error });
+    }
+
+    return await setCache(key, ttl + stale + grace, value);
+  })().finally(() => pending.delete(pendingKey));
+
+  pending.set(pendingKey, promise);
+  return promise;
+}
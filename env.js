@@ -1,18 +1,39 @@
 import dotenv from "dotenv";
 dotenv.config();
 export const {
+  CACHE_BACKEND = "redis", // "redis" (falls back to memory while unreachable) or "memory"
+  CACHE_MEMORY_MAX_ENTRIES = 1000,
+  CACHE_MEMORY_MAX_SIZE = 512, // MB of serialized values
+  CACHE_GRACE = 60 * 60 * 24, // seconds expired values are kept as fallback while omeka fails
   REDIS_HOST = "localhost",
   REDIS_PORT = 6379,
   ORIGIN = "/^https?://localhost:[0-9]{1,5}$/",
   OMEKA_API = "https://example.org/omeka/api",
+  OMEKA_TIMEOUT = 10, // seconds per request to omeka
+  OMEKA_RETRIES = 2, // retries of failed requests, with exponential backoff
+  OMEKA_BREAKER_THRESHOLD = 5, // failed requests in a row before omeka is left alone
+  OMEKA_BREAKER_COOLDOWN = 30, // seconds until omeka is tried again
   API_PORT = 3000,
   API_HOST = "0.0.0.0",
+  API_URL = "http://localhost:3000", // public url of this api, used for links in IIIF/OAI-PMH/sitemap/feed responses
+  SITE_NAME = process.env.OAI_REPOSITORY_NAME ?? "Omeka Custom API", // name in OAI-PMH, feeds, exports and docs, formerly OAI_REPOSITORY_NAME
+  TYPES_CONFIG = "types.json", // linked types and filters, JSON or YAML
+  SITES_CONFIG = "", // omeka installations served by this api, JSON or YAML (default: the env settings)
   PAGE_LIMIT = 100,
   PAGE_MAX_LIMIT = 10000,
   FEATURED_ITEM_SET = 4322,
   HEROES_ITEM_SET = 4329,
   NEWSLETTER_TYPE_ID = "4185",
   OMEKA_SITE = "cua",
+  OAI_ADMIN_EMAIL = "admin@example.org",
+  SITEMAP_LANGUAGES = "en,zh",
+  LANGUAGE_FALLBACKS = "zh-Hant>zh>en,zh-Hans>zh>en,zh>en,en>zh", // languages tried in turn when a value is missing in the requested one
+  SITEMAP_ITEM_URL = "https://example.org/{lang}/item/{id}",
+  SITEMAP_PAGE_URL = "https://example.org/{lang}/page/{slug}",
+  FEED_LIMIT = 50,
+  RELATED_LIMIT = 12, // default number of items returned by /item/:id/related
+  SYNC_INTERVAL = 60, // seconds between polls for modified items
+  WEBHOOK_SECRET = "", // required by /flush and /hooks/omeka, as bearer token or HMAC key
   OMEKA_FILE_URL_REPLACEMENT = "", // = "https://cua-files.git-87a.workers.dev",
   OMEKA_FILE_URL = "", // = "https://minjian-danganguan.org/files",
 } = process.env;
@@ -0,0 +1,126 @@
+import { getAllItems, getRawItem, getRawMedia, patchAllItems } from "./api.js";
+import { delCache, keysCache } from "./cache.js";
+import { types } from "./types.js";
+import { isQueryAffected } from "./utils/query.js";
+import { normalizeType } from "./utils/normalize.js";
+import { currentSite } from "./sites.js";
+
+// HOOKS
+// change events pushed by omeka, each invalidating only the affected cache keys
+// { resource: "items"|"media"|"site_pages"|"item_sets", event?: "create"|"update"|"delete",
+//   id?: number|number[], item?: number (media owner), slug?: string (page) }
+
+export const RESOURCES = ["items", "media", "site_pages", "item_sets"];
+
+/**
+ * Handle one or many omeka change events.
+ * @param {Object|Object[]} events
+ * @returns {Promise<{invalidated:string[]}|{error:Object}>} deleted cache keys, or the
+ *   error of omeka when the changed items could not be fetched
+ */
+
+export async function handleEvents(events) {
+  const invalidated = new Set();
+  const del = async (key) => {
+    await delCache(key);
+    invalidated.add(key);
+  };
+
+  for (const event of [events].flat()) {
+    const ids = [event.id]
+      .flat()
+      .filter((id) => id != null)
+      .map(Number);
+
+    if (event.resource === "items") {
+      const res = await onItems(ids, event.event, del);
+      if (res?.error) return res;
+    }
+    if (event.resource === "media") await onMedia(ids, event.item, del);
+    if (event.resource === "site_pages") await onPages(event.slug, del);
+    if (event.resource === "item_sets") await onItemSets(ids, del);
+  }
+
+  return { invalidated: [...invalidated] };
+}
+
+async function onItems(ids, event, del) {
+  const allItems = await getAllItems();
+  if (allItems.error) return allItems;
+  const before = ids
+    .map((id) => allItems.find((item) => item["o:id"] === id))
+    .filter(Boolean);
+
+  const after = [];
+  const deletedIds = [];
+  for (const id of ids) {
+    const item = event === "delete" ? null : await getRawItem(id);
+    if (item?.error) return item;
+    if (item == null) deletedIds.push(id);
+    else after.push(item);
+  }
+
+  await patchAllItems(after, deletedIds);
+  for (const id of ids) {
+    await del(`item:${id}`);
+    await del(`item:details:${id}`);
+  }
+
+  const changed = [...before, ...after];
+
+  // parents list their parts in item:${id}
+  const parents = changed.flatMap(
+    (item) =>
+      item["dcterms:isPartOf"]?.map(({ value_resource_id: id }) => id) ?? [],
+  );
+  for (const id of new Set(parents.filter(Boolean))) {
+    await del(`item:${id}`);
+  }
+
+  const itemSets = changed.flatMap(
+    (item) => item["o:item_set"]?.map(({ "o:id": id }) => id) ?? [],
+  );
+  await onItemSets(itemSets, del);
+
+  // linked resources (creators, themes, …) show up in every query linking them
+  const isLinkedType = changed.some((item) => normalizeType(item) in types);
+  for (const key of await keysCache("query:*")) {
+    const queryString = key.replace(/^query:/, "").replace(/:[a-z]{2}$/, "");
+    if (isLinkedType || isQueryAffected(queryString, changed)) await del(key);
+  }
+}
+
+async function onMedia(ids, itemId, del) {
+  const itemIds = itemId != null ? [+itemId] : [];
+
+  if (itemIds.length === 0) {
+    for (const id of ids) {
+      const media = await getRawMedia(id);
+      if (media?.["o:item"]) itemIds.push(media["o:item"]["o:id"]);
+    }
+  }
+
+  // owner unknown (e.g. deleted media): drop all details
+  if (itemIds.length === 0) {
+    for (const key of await keysCache("item:details:*")) await del(key);
+    return;
+  }
+
+  for (const id of new Set(itemIds)) {
+    await del(`item:details:${id}`);
+    await del(`item:${id}`);
+  }
+}
+
+async function onPages(slug, del) {
+  await del("pages");
+  if (slug != null) return await del(`page:${slug}`);
+
+  for (const key of await keysCache("page:*")) await del(key);
+}
+
+async function onItemSets(ids, del) {
+  const { FEATURED_ITEM_SET, HEROES_ITEM_SET } = currentSite();
+  if (ids.includes(+FEATURED_ITEM_SET)) await del("featured");
+  if (ids.includes(+HEROES_ITEM_SET)) await del("heroes");
+}
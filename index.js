@@ -1,23 +1,59 @@
 import cors from "@fastify/cors";
+import swagger from "@fastify/swagger";
+import swaggerUi from "@fastify/swagger-ui";
 import fastify from "fastify";
-import { parseOrigin, localizeObject } from "./utils/helper.js";
-import { delCache, flushCache, setCache, ttlCache } from "./redis.js";
-import { ORIGIN, API_PORT, API_HOST, NEWSLETTER_TYPE_ID } from "./env.js";
+import { fileURLToPath } from "node:url";
+import {
+  canonicalLang,
+  languageChain,
+  localizeObject,
+  negotiateFormat,
+  normalizeLang,
+  parseAcceptLanguage,
+} from "./utils/helper.js";
+import { flushCache, freshTtlCache, setCache, ttlCache } from "./cache.js";
+import { startSync } from "./sync.js";
+import { handleEvents } from "./hooks.js";
+import { isAuthorized } from "./utils/auth.js";
+import { apiError, sendError } from "./utils/errors.js";
+import {
+  API_PORT,
+  API_HOST,
+  API_URL,
+  RELATED_LIMIT,
+  SITE_NAME,
+} from "./env.js";
+import { currentSite, findSite, runInSite, sites } from "./sites.js";
+import { renderRobots } from "./utils/sitemap.js";
+import { GRAPH_FORMATS } from "./utils/graph.js";
+import { facets } from "./types.js";
 import {
   getFilters,
   getFeatured,
   getItem,
   getItemDetails,
+  getItemLinkedData,
   queryItems,
   queryCreators,
   getHeroes,
   getPage,
   getCreators,
   getCounts,
-  getLastModified,
   getAllItems,
   getIds,
+  getSearchIndex,
+  getManifest,
+  getCollection,
+  getOai,
+  getSitemap,
+  getFeed,
+  exportItems,
+  getRelatedItems,
+  getRelatedIndex,
+  getTimeline,
+  getGraph,
 } from "./api.js";
+import * as schemas from "./schemas.js";
 // ---
 // SETUP
 // ---
@@ -25,172 +61,498 @@ import {
 // FASTIFY+CORS
 const server = fastify({});
 await server.register(cors, {
-  origin: parseOrigin(ORIGIN),
+  delegator: (req, callback) =>
+    callback(null, { origin: findSite(req).origins }),
+});
+
+// OPENAPI, generated from the route schemas in schemas.js
+await server.register(swagger, {
+  openapi: {
+    info: { title: SITE_NAME, version: "1.0.0" },
+    servers: [{ url: API_URL }],
+    components: {
+      securitySchemes: {
+        bearer: { type: "http", scheme: "bearer" },
+        signature: {
+          type: "apiKey",
+          in: "header",
+          name: "X-Signature",
+          description: "sha256=<HMAC-SHA256 of the raw body>",
+        },
+      },
+    },
+  },
+});
+await server.register(swaggerUi, { routePrefix: "/docs" });
+
+// LANGUAGES
+// lang=zh-Hant-TW, lang=EN, … or else the Accept-Language header of routes with a lang:
+// - req.languages is the chain values are localized to (see languageChain)
+// - lang becomes its primary language (zh, en) before validation rejects unknown ones
+server.addHook("preValidation", async (req, reply) => {
+  if (req.routeOptions.schema?.querystring?.properties?.lang == null) return;
+
+  const requested = req.query.lang != null;
+  if (!requested) vary(reply, "Accept-Language");
+  const langs = requested
+    ? [canonicalLang(req.query.lang) ?? req.query.lang]
+    : parseAcceptLanguage(req.headers["accept-language"]);
+  if (langs.length === 0) return;
+
+  req.languages = languageChain(langs);
+  req.query.lang = normalizeLang(langs[0]);
+});
+
+// the languages of the values served, only responses localized by localize have them
+server.addHook("onSend", async (req, reply, payload) => {
+  if (req.servedLanguages?.size > 0 && reply.statusCode < 400) {
+    reply.header("Content-Language", [...req.servedLanguages].join(", "));
+  }
+  return payload;
+});
+
+// localize a response to the languages of the request, see localizeObject
+function localize(req, obj) {
+  req.servedLanguages ??= new Set();
+  return localizeObject(obj, req.languages, req.servedLanguages);
+}
+
+// add a request header the response depends on, next to those already listed
+function vary(reply, header) {
+  const headers = `${reply.getHeader("Vary") ?? ""}`
+    .split(",")
+    .map((value) => value.trim())
+    .filter(Boolean);
+  reply.header("Vary", [...new Set([...headers, header])].join(", "));
+}
+
+// keep the raw body around to verify HMAC signatures
+server.addContentTypeParser(
+  "application/json",
+  { parseAs: "string" },
+  (req, body, done) => {
+    req.rawBody = body;
+    try {
+      done(null, body.length > 0 ? JSON.parse(body) : {});
+    } catch (err) {
+      err.statusCode = 400;
+      done(err);
+    }
+  },
+);
+
+// SITES
+// everything handling a request runs for its site, see sites.js
+server.addHook("onRequest", (req, reply, done) => {
+  req.site = findSite(req);
+  if (req.params.site != null && req.params.site !== req.site.name) {
+    return sendError(reply, apiError(404, "Site not found"));
+  }
+  runInSite(req.site, done);
 });
 
+// again, parsing the body leaves the context of onRequest
+server.addHook("preHandler", (req, reply, done) => runInSite(req.site, done));
+
+async function authorize(req, reply) {
+  if (!isAuthorized(req.headers, req.rawBody, req.site.WEBHOOK_SECRET)) {
+    return sendError(reply, apiError(401));
+  }
+}
+
 // ---
 // ROUTES
 // ---
-// FLUSH
-server.all("/flush", async () => {
-  await flush();
-  return { status: "Cache flushed" };
-});
+// served for the site of the Host header and under /:site/, the latter left out of the docs
+await server.register(routes);
+await server.register(routes, { prefix: "/:site", hide: true });
 
-// CUSTOM
-server.get("/filters", async (req, res) => {
-  return localizeObject(await getFilters(), req.query?.lang);
-});
+async function routes(server, { hide = false }) {
+  if (hide) {
+    server.addHook("onRoute", (route) => {
+      route.schema = { ...route.schema, hide: true };
+    });
+  }
 
-server.get("/featured", async (req, reply) => {
-  const featured = await getFeatured();
-  if (featured.error) return reply.send(featured.error);
+  // FLUSH
+  server.all(
+    "/flush",
+    { preValidation: authorize, schema: schemas.flushSchema },
+    async (req, reply) => {
+      const res = await flush();
+      if (res.error) return sendError(reply, res.error);
+      return { status: "Cache flushed" };
+    },
+  );
 
-  const newItems = await queryItems(
-    null,
-    { limit: 50 },
-    { retrieveCreators: false, ttl: 60 * 11 },
+  // HOOKS
+  server.post(
+    "/hooks/omeka",
+    { preValidation: authorize, schema: schemas.hooksSchema },
+    async (req, reply) => {
+      const res = await handleEvents([req.body].flat());
+      if (res.error) return sendError(reply, res.error);
+      return res;
+    },
   );
-  if (newItems.error) return reply.send(newItems.error);
 
-  const newsletters = await queryItems(
-    null,
-    {
-      limit: 20,
-      objectType: NEWSLETTER_TYPE_ID,
+  // CUSTOM
+  server.get(
+    "/filters",
+    { schema: schemas.filtersSchema },
+    async (req, reply) => {
+      const res = await getFilters();
+      if (res.error) return sendError(reply, res.error);
+      return localize(
+        req,
+        Object.fromEntries(facets.map((key) => [key, res[key]])),
+      );
     },
-    { retrieveCreators: false, ttl: 60 * 13 },
   );
-  if (newsletters.error) return reply.send(newsletters.error);
 
-  const heroes = await getHeroes();
-  if (heroes.error) return reply.send(heroes.error);
+  server.get(
+    "/featured",
+    { schema: schemas.featuredSchema },
+    async (req, reply) => {
+      const featured = await getFeatured();
+      if (featured.error) return sendError(reply, featured.error);
+
+      const newItems = await queryItems(
+        null,
+        { limit: 50 },
+        { retrieveCreators: false, ttl: 60 * 11 },
+      );
+      if (newItems.error) return sendError(reply, newItems.error);
+
+      const newsletters = await queryItems(
+        null,
+        {
+          limit: 20,
+          objectType: currentSite().NEWSLETTER_TYPE_ID,
+        },
+        { retrieveCreators: false, ttl: 60 * 13 },
+      );
+      if (newsletters.error) return sendError(reply, newsletters.error);
+
+      const heroes = await getHeroes();
+      if (heroes.error) return sendError(reply, heroes.error);
 
-  return localizeObject(
-    {
-      featured: featured
-        .map((value) => ({ value, sort: Math.random() }))
-        .sort((a, b) => a.sort - b.sort)
-        .map(({ value }) => value)
-        .slice(0, 12),
-      newItems: newItems.items.slice(0, 11),
-      newsletters: newsletters.items,
-      heroes,
+      return localize(req, {
+        featured: featured
+          .map((value) => ({ value, sort: Math.random() }))
+          .sort((a, b) => a.sort - b.sort)
+          .map(({ value }) => value)
+          .slice(0, 12),
+        newItems: newItems.items.slice(0, 11),
+        newsletters: newsletters.items,
+        heroes,
+      });
     },
-    req.query.lang,
   );
-});
 
-server.get("/item/:id(^[0-9]+$)", async (req, reply) => {
-  const res = await getItem(req.params.id);
-  if (res.error) return reply.send(res.error);
-  return localizeObject(res, req.query.lang);
-});
+  server.get(
+    "/item/:id(^[0-9]+$)",
+    { schema: schemas.itemSchema },
+    async (req, reply) => {
+      vary(reply, "Accept");
+      const format = negotiateFormat(req.query, req.headers.accept);
 
-server.get("/item-details/:id(^[0-9]+$)", async (req, reply) => {
-  const res = await getItemDetails(req.params.id);
-  if (res.error) return reply.send(res.error);
-  return localizeObject(res, req.query.lang);
-});
+      if (format != null) {
+        const res = await getItemLinkedData(
+          req.params.id,
+          format,
+          req.query.lang,
+        );
+        if (res.error) return sendError(reply, res.error);
+        reply.type("application/ld+json");
+        return res;
+      }
 
-server.get("/query/:id(^[0-9]+$)", async (req, reply) => {
-  const isOnMainPage = !Object.keys(req.query).find(
-    (key) => !["view", "page", "lang"].includes(key),
+      const res = await getItem(req.params.id);
+      if (res.error) return sendError(reply, res.error);
+      return localize(req, res);
+    },
   );
-  const isOnMainCreatorPage = req.query.view === "creator" && isOnMainPage;
-
-  const res = isOnMainCreatorPage
-    ? await queryCreators(req.query)
-    : await queryItems(req.params.id, req.query, {
-        retrieveCreators: !isOnMainPage,
-        removeCreators: isOnMainPage,
-      });
-  if (res.error) return reply.send(res.error);
-  return localizeObject(res, req.query.lang);
-});
 
-server.get("/page/:slug", async (req, reply) => {
-  const res = await getPage(req.params.slug, req.query.lang);
-  if (res.error) return reply.send(res.error);
-  return res;
-});
+  server.get(
+    "/item/:id(^[0-9]+$)/related",
+    { schema: schemas.relatedSchema },
+    async (req, reply) => {
+      const res = await getRelatedItems(
+        req.params.id,
+        req.query.limit ?? +RELATED_LIMIT,
+      );
+      if (res.error) return sendError(reply, res.error);
+      return localize(req, res);
+    },
+  );
 
-server.get("/ids", async (req, reply) => {
-  const res = await getIds(req.params.id);
-  if (res.error) return reply.send(res.error);
-  return localizeObject(res, req.query.lang);
-});
+  server.get(
+    "/item-details/:id(^[0-9]+$)",
+    { schema: schemas.itemDetailsSchema },
+    async (req, reply) => {
+      const res = await getItemDetails(req.params.id);
+      if (res.error) return sendError(reply, res.error);
+      return localize(req, res);
+    },
+  );
 
-// ---
-// UPDATES
-// ---
+  server.get(
+    "/query/:id(^[0-9]+$)",
+    { schema: schemas.querySchema },
+    async (req, reply) => {
+      const isOnMainPage = !Object.keys(req.query).find(
+        (key) => !["view", "page", "lang"].includes(key),
+      );
+      const isOnMainCreatorPage = req.query.view === "creator" && isOnMainPage;
 
-async function update() {
-  const ms = 1000 * 60 * 1;
-  const itemLimit = 20;
+      const res = isOnMainCreatorPage
+        ? await queryCreators(req.query)
+        : await queryItems(req.params.id, req.query, {
+            retrieveCreators: !isOnMainPage,
+            removeCreators: isOnMainPage,
+          });
+      if (res.error) return sendError(reply, res.error);
+      return localize(req, res);
+    },
+  );
 
-  const modifiedItems = await getLastModified(ms, itemLimit);
+  server.get(
+    "/timeline",
+    { schema: schemas.timelineSchema },
+    async (req, reply) => {
+      const res = await getTimeline(req.query);
+      if (res.error) return sendError(reply, res.error);
+      return localize(req, res);
+    },
+  );
 
-  if (itemLimit === modifiedItems.length) {
-    flush();
+  // GRAPH
+  async function sendGraph(req, reply) {
+    const res = await getGraph(req.params.id, req.query);
+    if (res.error) return sendError(reply, res.error);
+    reply.type(GRAPH_FORMATS[res.format]);
+    return res.body;
   }
 
-  if (modifiedItems.length > 0) {
-    delCache(`query:per_page=100&page=1`);
-  }
+  server.get("/graph/creators", { schema: schemas.graphSchema }, sendGraph);
+
+  server.get(
+    "/graph/creators/:id(^[0-9]+$)",
+    { schema: schemas.egoGraphSchema },
+    sendGraph,
+  );
+
+  server.get(
+    "/page/:slug",
+    { schema: schemas.pageSchema },
+    async (req, reply) => {
+      const res = await getPage(req.params.slug, req.query.lang);
+      if (res.error) return sendError(reply, res.error);
+      return res;
+    },
+  );
+
+  server.get("/ids", { schema: schemas.idsSchema }, async (req, reply) => {
+    const res = await getIds(req.params.id);
+    if (res.error) return sendError(reply, res.error);
+    return localize(req, res);
+  });
+
+  // IIIF
+  // open to any origin so external viewers (Mirador, UV) can load them
+  const iiifOptions = {
+    config: { cors: false },
+    onSend: async (req, reply) => {
+      reply.header("Access-Control-Allow-Origin", "*");
+    },
+  };
+
+  server.get(
+    "/iiif/item/:id(^[0-9]+)/manifest.json",
+    { ...iiifOptions, schema: schemas.manifestSchema },
+    async (req, reply) => {
+      const res = await getManifest(req.params.id);
+      if (res.error) return sendError(reply, res.error);
+      return res;
+    },
+  );
+
+  server.get(
+    "/iiif/collection/:id(^[0-9]+$)",
+    { ...iiifOptions, schema: schemas.collectionSchema },
+    async (req, reply) => {
+      const res = await getCollection(req.params.id);
+      if (res.error) return sendError(reply, res.error);
+      return res;
+    },
+  );
+
+  // OAI-PMH
+  server.get(
+    "/oai",
+    { schema: schemas.oaiSchema, attachValidation: true },
+    async (req, reply) => {
+      const res = await getOai(req.query);
+      if (res.error) return sendError(reply, res.error);
+      reply.type("text/xml; charset=utf-8");
+      return res;
+    },
+  );
+
+  // FEEDS
+  server.get(
+    "/feeds/:name.:format",
+    { schema: schemas.feedSchema },
+    async (req, reply) => {
+      const res = await getFeed(req.params.name, req.params.format, req.query);
+      if (res.error) return sendError(reply, res.error);
+      reply.type(res.type);
+      return res.body;
+    },
+  );
+
+  // EXPORT
+  server.get(
+    "/export/:id(^[0-9]+$)",
+    { schema: schemas.exportSchema },
+    async (req, reply) => {
+      const res = await exportItems(req.params.id, req.query, req.languages);
+      if (res.error) return sendError(reply, res.error);
+      reply.type(res.type);
+      reply.header(
+        "Content-Disposition",
+        `attachment; filename="${res.filename}"`,
+      );
+      return res.body;
+    },
+  );
+
+  // SITEMAP
+  server.get(
+    "/sitemap.xml",
+    { schema: schemas.sitemapSchema },
+    async (req, reply) => {
+      const res = await getSitemap();
+      if (res.error) return sendError(reply, res.error);
+      reply.type("application/xml; charset=utf-8");
+      return res;
+    },
+  );
+
+  server.get(
+    "/sitemap-:n(^[0-9]+).xml",
+    { schema: schemas.sitemapPartSchema },
+    async (req, reply) => {
+      const res = await getSitemap(+req.params.n);
+      if (res.error) return sendError(reply, res.error);
+      reply.type("application/xml; charset=utf-8");
+      return res;
+    },
+  );
+
+  server.get(
+    "/robots.txt",
+    { schema: schemas.robotsSchema },
+    async (req, reply) => {
+      reply.type("text/plain; charset=utf-8");
+      return renderRobots();
+    },
+  );
 }
 
+// OPENAPI
+server.get("/openapi.json", { schema: { hide: true } }, async () =>
+  server.swagger(),
+);
+
+// ---
+// UPDATES
+// ---
+
 export async function flush() {
   const items = await getAllItems(true);
+  if (items.error) return items;
+
+  const ttl = await ttlCache("allItems");
   await flushCache();
-  await setCache("allItems", 60 * 60, items);
+  await setCache("allItems", ttl, items);
   await preload();
+  return items;
 }
 
 // ---
 // PRELOAD
 // ---
+// for the current site, the schedules keep running for it
 
 async function preload() {
   preloadFilters();
   preloadCreators();
   preloadCounts();
   preloadIds();
+  preloadSearchIndex();
+  preloadRelated();
 }
 
 async function preloadFilters(force = false) {
   await getFilters(force);
-  const ttl = await ttlCache("filters");
-  setTimeout(preloadFilters, ttl * 0.95, true);
+  const ttl = await freshTtlCache("filters");
+  schedulePreload(preloadFilters, ttl);
 }
 
 async function preloadCreators(force = false) {
   await getCreators(force);
-  const ttl = await ttlCache("creators");
-  setTimeout(preloadCreators, ttl * 0.95, true);
+  const ttl = await freshTtlCache("creators");
+  schedulePreload(preloadCreators, ttl);
 }
 
 async function preloadCounts(force = false) {
   await getCounts(force);
-  const ttl = await ttlCache("counts");
-  setTimeout(preloadCounts, ttl * 0.95, true);
+  const ttl = await freshTtlCache("counts");
+  schedulePreload(preloadCounts, ttl);
 }
 
 async function preloadIds(force = false) {
   await getIds(force);
-  const ttl = await ttlCache("ids");
-  setTimeout(preloadIds, ttl * 0.95, true);
+  const ttl = await freshTtlCache("ids");
+  schedulePreload(preloadIds, ttl);
+}
+
+async function preloadRelated(force = false) {
+  await getRelatedIndex(force);
+  const ttl = await freshTtlCache("related");
+  schedulePreload(preloadRelated, ttl);
+}
+
+// longest delay of setTimeout, longer ones fire right away
+const MAX_DELAY = 2 ** 31 - 1;
+
+// again before it goes stale (fresh ttl in seconds), or in a minute when it could not be fetched
+function schedulePreload(preload, ttl) {
+  const delay = ttl > 0 ? Math.min(ttl * 950, MAX_DELAY) : 60 * 1000;
+  setTimeout(preload, delay, true).unref();
+}
+
+async function preloadSearchIndex() {
+  // kept up to date incrementally by the sync, see patchAllItems
+  await getSearchIndex(true);
 }
 
 // ---
 // START SERVER
 // ---
 
-try {
-  await preload();
-  await server.listen({ host: API_HOST, port: API_PORT });
-  await update();
-} catch (err) {
-  server.log.error(err);
-  process.exit(1);
+// only when run as `node index.js`, the tests import the server without starting it
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  try {
+    for (const site of Object.values(sites)) await runInSite(site, preload);
+    await server.listen({ host: API_HOST, port: API_PORT });
+    Object.values(sites).forEach((site) => runInSite(site, startSync));
+  } catch (err) {
+    server.log.error(err);
+    process.exit(1);
+  }
 }
+
+export { server };
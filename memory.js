@@ -0,0 +1,91 @@
+/**
+ * In-process LRU cache, bounded by number of entries and by the size of the
+ * serialized values. Entries expire like redis keys (setEx).
+ * @param {{maxEntries:number, maxSize:number}} options - maxSize in characters of JSON
+ * @returns {{get:Function, set:Function, del:Function, ttl:Function, flush:Function, keys:Function}}
+ */
+
+export function createMemoryCache({ maxEntries, maxSize }) {
+  const entries = new Map();
+  let size = 0;
+
+  function remove(key) {
+    const entry = entries.get(key);
+    if (entry == null) return;
+    size -= entry.value.length;
+    entries.delete(key);
+  }
+
+  function lookup(key) {
+    const entry = entries.get(key);
+    if (entry == null) return null;
+    if (entry.expires <= Date.now()) {
+      remove(key);
+      return null;
+    }
+    return entry;
+  }
+
+  // drop expired entries first, then the least recently used ones
+  function evict() {
+    const isFull = () => entries.size > maxEntries || size > maxSize;
+    if (!isFull()) return;
+
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expires <= now) remove(key);
+    }
+    for (const key of entries.keys()) {
+      if (!isFull()) return;
+      remove(key);
+    }
+  }
+
+  return {
+    async get(key) {
+      const entry = lookup(key);
+      if (entry == null) return null;
+      // most recently used entries go last
+      entries.delete(key);
+      entries.set(key, entry);
+      return JSON.parse(entry.value);
+    },
+
+    async set(key, seconds, json) {
+      const value = JSON.stringify(json);
+      remove(key);
+      if (value.length > maxSize) return json;
+
+      entries.set(key, { value, expires: Date.now() + seconds * 1000 });
+      size += value.length;
+      evict();
+      return json;
+    },
+
+    async del(key) {
+      remove(key);
+    },
+
+    async ttl(key) {
+      const entry = lookup(key);
+      if (entry == null) return -2;
+      return Math.ceil((entry.expires - Date.now()) / 1000);
+    },
+
+    async flush() {
+      entries.clear();
+      size = 0;
+    },
+
+    async keys(pattern) {
+      const regex = new RegExp(
+        `^${pattern
+          .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+          .replace(/\*/g, ".*")}$`,
+      );
+      return [...entries.keys()].filter(
+        (key) => regex.test(key) && lookup(key) != null,
+      );
+    },
+  };
+}
@@ -0,0 +1,120 @@
+import {
+  OMEKA_BREAKER_COOLDOWN,
+  OMEKA_BREAKER_THRESHOLD,
+  OMEKA_RETRIES,
+  OMEKA_TIMEOUT,
+} from "./env.js";
+import { currentSite } from "./sites.js";
+import { apiError } from "./utils/errors.js";
+
+// OMEKA CLIENT
+// every request to omeka goes through fetchOmeka: timeouts, retries with backoff
+// and a circuit breaker that stops asking omeka while it keeps failing,
+// one per omeka installation (OMEKA_API of the current site)
+
+const breakers = new Map();
+
+/**
+ * GET a path of the omeka api.
+ * Errors are 404 if omeka has no such resource, 504 on timeouts, 503 while
+ * the circuit is open and 502 for any other failure.
+ * @param {string} path - relative to the OMEKA_API of the current site, e.g. `/items/1`
+ * @returns {Promise<*|{error:{statusCode:number, error:string, message:string}}>} parsed json
+ */
+
+export async function fetchOmeka(path) {
+  const { OMEKA_API } = currentSite();
+  if (!breakers.has(OMEKA_API)) {
+    breakers.set(OMEKA_API, { failures: 0, openUntil: 0, probing: false });
+  }
+  const breaker = breakers.get(OMEKA_API);
+
+  if (isOpen(breaker)) {
+    return { error: apiError(503, "Omeka is unavailable, try again later") };
+  }
+
+  let result;
+  for (let attempt = 0; attempt <= OMEKA_RETRIES; attempt++) {
+    if (attempt > 0) await sleep(backoff(attempt));
+
+    result = await request(`${OMEKA_API}${path}`);
+    if (!result.error || !result.retry) break;
+  }
+
+  record(breaker, !result.error || !result.retry);
+  return result.error ? { error: result.error } : result.json;
+}
+
+/**
+ * A single attempt, failures are marked as worth a retry when omeka itself failed.
+ * @returns {Promise<{json:*}|{error:Object, retry:boolean}>}
+ */
+async function request(url) {
+  const signal = AbortSignal.timeout(OMEKA_TIMEOUT * 1000);
+
+  try {
+    const res = await fetch(url, { signal });
+
+    if (res.status === 404) return { error: apiError(404), retry: false };
+    if (!res.ok) {
+      return {
+        error: apiError(502, `Omeka responded with status ${res.status}`),
+        retry: res.status >= 500 || res.status === 429,
+      };
+    }
+
+    return { json: await res.json() };
+  } catch (err) {
+    if (err instanceof SyntaxError) {
+      return { error: apiError(502, "Omeka sent invalid JSON"), retry: true };
+    }
+    if (err.name === "TimeoutError") {
+      return {
+        error: apiError(504, `Omeka did not respond within ${OMEKA_TIMEOUT}s`),
+        retry: true,
+      };
+    }
+    return {
+      error: apiError(502, `Request to omeka failed: ${err.message}`),
+      retry: true,
+    };
+  }
+}
+
+// exponential backoff with jitter: up to 200ms, 400ms, 800ms, …
+function backoff(attempt) {
+  return 100 * 2 ** attempt * (0.5 + Math.random() / 2);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// open: fail fast until the cooldown is over, then let a single request probe omeka
+function isOpen(breaker) {
+  if (breaker.failures < OMEKA_BREAKER_THRESHOLD) return false;
+  if (breaker.probing || Date.now() < breaker.openUntil) return true;
+
+  breaker.probing = true;
+  return false;
+}
+
+function record(breaker, success) {
+  breaker.probing = false;
+
+  if (success) {
+    if (breaker.failures >= OMEKA_BREAKER_THRESHOLD) {
+      console.log(`Omeka ${currentSite().name} is back, circuit closed`);
+    }
+    breaker.failures = 0;
+    return;
+  }
+
+  breaker.failures++;
+  if (breaker.failures >= OMEKA_BREAKER_THRESHOLD) {
+    breaker.openUntil = Date.now() + OMEKA_BREAKER_COOLDOWN * 1000;
+    console.error(
+      `Omeka ${currentSite().name} failed ${breaker.failures} times in a row, circuit open for ${OMEKA_BREAKER_COOLDOWN}s`,
+    );
+  }
+}
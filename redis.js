@@ -1,34 +1,92 @@
-import { REDIS_HOST, REDIS_PORT } from "./env.js";
-import { createClient } from "redis";
-
-// REDIS
-const redisClient = createClient({
-  socket: {
-    host: REDIS_HOST,
-    port: REDIS_PORT,
-  },
-});
-redisClient.on("error", (err) => console.error("Redis Client Error", err));
-redisClient.connect();
-
-export async function getCache(key) {
-  const cached = await redisClient.get(key);
-  return cached ? JSON.parse(cached) : null;
-}
+import {
+  ClientClosedError,
+  ClientOfflineError,
+  ConnectionTimeoutError,
+  SocketClosedUnexpectedlyError,
+  SocketTimeoutError,
+  createClient,
+} from "redis";
 
-export async function setCache(key, seconds, json) {
-  await redisClient.setEx(key, seconds, JSON.stringify(json));
-  return json;
-}
+const CONNECTION_ERRORS = [
+  ClientClosedError,
+  ClientOfflineError,
+  ConnectionTimeoutError,
+  SocketClosedUnexpectedlyError,
+  SocketTimeoutError,
+];
+const CONNECTION_CODES = ["ECONNREFUSED", "ECONNRESET", "EPIPE", "ETIMEDOUT"];
 
-export async function flushCache() {
-  await redisClient.flushAll();
-}
+/**
+ * Redis backed cache. Commands fail right away while redis is unreachable
+ * (no offline queue), so callers can fall back to another cache.
+ * `connected` resolves once connected or after connectTimeout ms, whichever comes first.
+ * @param {{host:string, port:number, connectTimeout?:number}} options
+ * @returns {{connected:Promise, isReady:Function, get:Function, set:Function, del:Function, ttl:Function, keys:Function}}
+ */
+
+export function createRedisCache({ host, port, connectTimeout = 2000 }) {
+  const redisClient = createClient({
+    socket: {
+      host,
+      port,
+    },
+    disableOfflineQueue: true,
+  });
+  redisClient.on("error", (err) => console.error("Redis Client Error", err));
+
+  const connected = Promise.race([
+    redisClient.connect().catch(() => {}),
+    new Promise((resolve) => setTimeout(resolve, connectTimeout).unref()),
+  ]);
+
+  return {
+    connected,
 
-export async function ttlCache(key) {
-  return await redisClient.ttl(key);
+    isReady() {
+      return redisClient.isReady;
+    },
+
+    async get(key) {
+      const cached = await redisClient.get(key);
+      return cached ? JSON.parse(cached) : null;
+    },
+
+    async set(key, seconds, json) {
+      await redisClient.setEx(key, seconds, JSON.stringify(json));
+      return json;
+    },
+
+    async del(key) {
+      await redisClient.del(key);
+    },
+
+    async ttl(key) {
+      return await redisClient.ttl(key);
+    },
+
+    async keys(pattern) {
+      const keys = [];
+      for await (const batch of redisClient.scanIterator({
+        MATCH: pattern,
+        COUNT: 1000,
+      })) {
+        keys.push(...batch);
+      }
+      return keys;
+    },
+  };
 }
 
-export async function delCache(key) {
-  await redisClient.del(key);
+/**
+ * Whether a command failed because redis is unreachable, not because of the
+ * command itself (error replies like a bad TTL, unparsable values).
+ * @param {Error} err
+ * @returns {boolean}
+ */
+
+export function isConnectionError(err) {
+  return (
+    CONNECTION_ERRORS.some((type) => err instanceof type) ||
+    CONNECTION_CODES.includes(err?.code)
+  );
 }
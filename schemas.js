@@ -0,0 +1,691 @@
+import { PAGE_MAX_LIMIT } from "./env.js";
+import { RESOURCES } from "./hooks.js";
+import { facets, filterConfig, types } from "./types.js";
+import { LANGUAGES } from "./utils/helper.js";
+import { FEED_FORMATS } from "./utils/feed.js";
+import { EXPORT_FORMATS } from "./utils/export.js";
+import { RELATED_MAX } from "./utils/related.js";
+import { TIMELINE_UNITS } from "./utils/timeline.js";
+import { SORTS } from "./utils/query.js";
+import { GRAPH_FORMATS, GRAPH_LINKS } from "./utils/graph.js";
+import { OAI_VERBS } from "./utils/oai.js";
+
+// SCHEMAS
+// JSON schemas of the routes in index.js, used to validate requests, serialize
+// responses and generate /openapi.json
+// items are open objects (additionalProperties), so no field of them gets dropped
+
+const lang = {
+  type: "string",
+  enum: LANGUAGES,
+  description: `Language of localized values as BCP 47 tag (${LANGUAGES.join(", ")}, subtags like zh-Hant falling back to zh and en), else negotiated by Accept-Language, all languages without either`,
+};
+
+const idParams = {
+  type: "object",
+  properties: { id: { type: "integer" } },
+  required: ["id"],
+};
+
+const langQuery = {
+  type: "object",
+  properties: { lang },
+  additionalProperties: false,
+};
+
+// comma-separated terms of value, each optionally negated or with alternatives
+const terms = (value) =>
+  `^!?${value}(\\|${value})*(,!?${value}(\\|${value})*)*$`;
+
+const localized = {
+  description:
+    "A string, or an object keyed by language when no lang is requested",
+};
+
+const linked = {
+  type: "object",
+  properties: { id: { type: "integer" }, title: localized },
+  additionalProperties: true,
+};
+
+const item = {
+  type: "object",
+  properties: {
+    id: { type: "integer" },
+    type: { type: "string", enum: ["object", ...Object.keys(types)] },
+    title: localized,
+    titleAlt: localized,
+    description: localized,
+    published: localized,
+    thumbnail: { type: "string" },
+    thumbnailLarge: { type: "string" },
+    media: { type: "array", items: { type: "integer" } },
+    items: { description: "Ids of the item's parts, on single items" },
+    isPart: { type: "boolean" },
+    ...Object.fromEntries(
+      Object.keys(types).map((type) => [
+        type,
+        { type: "array", items: linked },
+      ]),
+    ),
+  },
+  additionalProperties: true,
+};
+
+const openObject = (description) => ({
+  type: "object",
+  additionalProperties: true,
+  description,
+});
+
+const text = (type, description) => ({
+  content: { [type]: { schema: { type: "string", description } } },
+});
+
+const error = {
+  type: "object",
+  properties: {
+    statusCode: { type: "integer" },
+    code: { type: "string" },
+    error: { type: "string" },
+    message: { type: "string" },
+  },
+};
+
+const errors = { "4xx": error, "5xx": error };
+
+const secured = [{ bearer: [] }, { signature: [] }];
+
+export const flushSchema = {
+  summary: "Flush the cache and preload it again",
+  tags: ["cache"],
+  security: secured,
+  response: {
+    200: { type: "object", properties: { status: { type: "string" } } },
+    ...errors,
+  },
+};
+
+const hookEvent = {
+  type: "object",
+  properties: {
+    resource: { type: "string", enum: RESOURCES },
+    event: { type: "string", enum: ["create", "update", "delete"] },
+    id: {
+      anyOf: [
+        { type: "integer" },
+        { type: "array", items: { type: "integer" } },
+      ],
+    },
+    item: { type: "integer", description: "Owner of changed media" },
+    slug: { type: "string", description: "Slug of a changed site page" },
+  },
+  required: ["resource"],
+};
+
+export const hooksSchema = {
+  summary: "Invalidate the cache keys affected by omeka changes",
+  tags: ["cache"],
+  security: secured,
+  body: { anyOf: [hookEvent, { type: "array", items: hookEvent }] },
+  response: {
+    200: {
+      type: "object",
+      properties: { invalidated: { type: "array", items: { type: "string" } } },
+    },
+    ...errors,
+  },
+};
+
+export const filtersSchema = {
+  summary: "Values of all filters",
+  tags: ["items"],
+  querystring: langQuery,
+  response: {
+    200: {
+      type: "object",
+      properties: Object.fromEntries(
+        facets.map((type) => [type, { type: "array", items: openObject() }]),
+      ),
+    },
+    ...errors,
+  },
+};
+
+export const featuredSchema = {
+  summary: "Featured items, new items, newsletters and hero images",
+  tags: ["items"],
+  querystring: langQuery,
+  response: {
+    200: {
+      type: "object",
+      properties: {
+        featured: { type: "array", items: item },
+        newItems: { type: "array", items: item },
+        newsletters: { type: "array", items: item },
+        heroes: { type: "array", items: { type: "string" } },
+      },
+    },
+    ...errors,
+  },
+};
+
+export const itemSchema = {
+  summary: "A single item",
+  description:
+    "Plain JSON by default, schema.org or Linked Art JSON-LD with format or Accept: application/ld+json",
+  tags: ["items"],
+  params: idParams,
+  querystring: {
+    type: "object",
+    properties: {
+      lang,
+      format: { type: "string", enum: ["jsonld", "linkedart"] },
+    },
+    additionalProperties: false,
+  },
+  response: {
+    200: {
+      content: {
+        "application/json": { schema: item },
+        "application/ld+json": { schema: openObject("JSON-LD") },
+      },
+    },
+    ...errors,
+  },
+};
+
+export const relatedSchema = {
+  summary: "Items related to an item",
+  description:
+    "Other objects ranked by shared creators, themes, eras and object types and by date proximity",
+  tags: ["items"],
+  params: idParams,
+  querystring: {
+    type: "object",
+    properties: {
+      lang,
+      limit: { type: "integer", minimum: 1, maximum: RELATED_MAX },
+    },
+    additionalProperties: false,
+  },
+  response: {
+    200: { type: "array", items: item },
+    ...errors,
+  },
+};
+
+export const itemDetailsSchema = {
+  summary: "Media and html of an item",
+  tags: ["items"],
+  params: idParams,
+  querystring: langQuery,
+  response: {
+    200: {
+      anyOf: [
+        {
+          type: "object",
+          properties: {
+            media: { type: "array", items: openObject() },
+            html: localized,
+          },
+        },
+        {
+          type: "array",
+          maxItems: 0,
+          description: "Items without media",
+        },
+      ],
+    },
+    ...errors,
+  },
+};
+
+const isoDate = "^-?[0-9]{1,4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12][0-9]|3[01]))?)?$";
+
+// the filters of /query, shared by routes aggregating over the same items
+const filterIds = {
+  type: "string",
+  pattern: terms("[0-9]+"),
+  description:
+    "Comma-separated ids all matching, alternatives joined by | (12|15), excluded with ! (!34)",
+};
+
+const filterYears = {
+  type: "string",
+  pattern: terms("-?[0-9]+"),
+  description:
+    "Comma-separated years all matching, alternatives joined by | (1995|1998), excluded with ! (!1995)",
+};
+
+const filterValues = {
+  type: "string",
+  pattern: terms("[^,|!]+"),
+  description:
+    "Comma-separated values all matching, alternatives joined by |, excluded with !",
+};
+
+const filterProperties = {
+  ...Object.fromEntries(
+    Object.entries(filterConfig)
+      .filter(([key]) => key !== "search")
+      .map(([key, { property }]) => [
+        key,
+        types[key] != null
+          ? filterIds
+          : property === "dcterms:date"
+            ? filterYears
+            : filterValues,
+      ]),
+  ),
+  search: { type: "string", maxLength: 200 },
+  from: {
+    type: "string",
+    pattern: isoDate,
+    description:
+      "Partial ISO date (1966, 1966-05, 1966-05-16), dates overlapping from on count",
+  },
+  to: {
+    type: "string",
+    pattern: isoDate,
+    description: "Partial ISO date, dates overlapping to count",
+  },
+  decade: {
+    type: "string",
+    pattern: "^-?[0-9]*0s$",
+    description: "Shorthand for from and to, e.g. 1970s",
+  },
+  undated: {
+    type: "string",
+    enum: ["include", "exclude", "only"],
+    description: "Undated items, excluded by default with from, to or decade",
+  },
+};
+
+export const querySchema = {
+  summary: "Filter, search and page through items",
+  description:
+    "Parts of the item :id (all items for the main collection), creators are included unless only view/page/lang are given",
+  tags: ["items"],
+  params: idParams,
+  querystring: {
+    type: "object",
+    properties: {
+      lang,
+      view: { type: "string" },
+      page: { type: "integer", minimum: 1 },
+      limit: { type: "integer", minimum: 1, maximum: +PAGE_MAX_LIMIT },
+      ...filterProperties,
+      sort: {
+        type: "string",
+        enum: Object.keys(SORTS),
+        description:
+          "relevance by default for searches, title for the parts of an item, else created",
+      },
+      order: {
+        type: "string",
+        enum: ["asc", "desc"],
+        description:
+          "desc for created, modified and relevance by default, else asc",
+      },
+    },
+    additionalProperties: false,
+  },
+  response: {
+    200: {
+      type: "object",
+      properties: {
+        items: { type: "array", items: item },
+        filters: {
+          type: ["object", "null"],
+          additionalProperties: true,
+          description:
+            "Counts per filter value over all matching objects, null when unfiltered",
+        },
+        hasNextPage: { type: "boolean" },
+        counts: {
+          type: "object",
+          properties: {
+            creators: { type: "integer" },
+            objects: { type: "integer" },
+          },
+        },
+        total: {
+          type: "integer",
+          description: "Items matching over all pages",
+        },
+        totalPages: { type: "integer" },
+      },
+    },
+    ...errors,
+  },
+};
+
+const span = {
+  type: ["string", "null"],
+  description: "Partial ISO date",
+};
+
+export const timelineSchema = {
+  summary: "Items bucketed by date, with eras as spans",
+  description:
+    "Buckets by decade, year or month of dcterms:date, dates less precise than the unit keep their own precision. Takes the filters of /query",
+  tags: ["items"],
+  querystring: {
+    type: "object",
+    properties: {
+      lang,
+      unit: { type: "string", enum: TIMELINE_UNITS, default: "year" },
+      samples: {
+        type: "integer",
+        minimum: 0,
+        maximum: 10,
+        default: 3,
+        description: "Thumbnails per bucket",
+      },
+      ...filterProperties,
+    },
+    additionalProperties: false,
+  },
+  response: {
+    200: {
+      type: "object",
+      properties: {
+        unit: { type: "string" },
+        total: { type: "integer" },
+        undated: { type: "integer" },
+        buckets: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              key: { type: "string" },
+              unit: { type: "string", enum: TIMELINE_UNITS },
+              start: span,
+              end: span,
+              count: { type: "integer" },
+              samples: {
+                type: "array",
+                items: {
+                  type: "object",
+                  properties: {
+                    id: { type: "integer" },
+                    title: localized,
+                    thumbnail: { type: "string" },
+                  },
+                },
+              },
+            },
+          },
+        },
+        eras: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              id: { type: "integer" },
+              title: localized,
+              start: span,
+              end: span,
+              count: { type: "integer" },
+            },
+          },
+        },
+      },
+    },
+    ...errors,
+  },
+};
+
+const graphQuery = {
+  lang,
+  format: { type: "string", enum: Object.keys(GRAPH_FORMATS) },
+  include: {
+    type: "string",
+    pattern: `^(${GRAPH_LINKS.join("|")})(,(${GRAPH_LINKS.join("|")}))*$`,
+    description: `Comma-separated linked types added as bipartite nodes (${GRAPH_LINKS.join(", ")})`,
+  },
+};
+
+const graph = {
+  type: "object",
+  properties: {
+    nodes: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          id: { type: "integer" },
+          type: { type: "string", enum: ["creator", ...GRAPH_LINKS] },
+          title: localized,
+          count: { type: "integer" },
+        },
+      },
+    },
+    edges: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          source: { type: "integer" },
+          target: { type: "integer" },
+          type: { type: "string", enum: ["creator", ...GRAPH_LINKS] },
+          weight: { type: "integer" },
+        },
+      },
+    },
+  },
+};
+
+const graphResponse = {
+  200: {
+    content: {
+      "application/json": { schema: graph },
+      ...Object.fromEntries(
+        Object.values(GRAPH_FORMATS)
+          .slice(1)
+          .map((type) => [type.split(";")[0], { schema: { type: "string" } }]),
+      ),
+    },
+  },
+  ...errors,
+};
+
+export const graphSchema = {
+  summary: "Network of creators who worked together",
+  description:
+    "Edges are weighted by the number of shared items, themes and eras linked to the creators' items can be included as nodes",
+  tags: ["graph"],
+  querystring: {
+    type: "object",
+    properties: graphQuery,
+    additionalProperties: false,
+  },
+  response: graphResponse,
+};
+
+export const egoGraphSchema = {
+  summary: "Network of the creators around a creator",
+  tags: ["graph"],
+  params: idParams,
+  querystring: {
+    type: "object",
+    properties: {
+      ...graphQuery,
+      depth: {
+        type: "integer",
+        minimum: 1,
+        maximum: 3,
+        default: 1,
+        description: "Co-creation steps from the creator",
+      },
+    },
+    additionalProperties: false,
+  },
+  response: graphResponse,
+};
+
+export const pageSchema = {
+  summary: "A site page",
+  tags: ["pages"],
+  params: {
+    type: "object",
+    properties: { slug: { type: "string" } },
+    required: ["slug"],
+  },
+  querystring: {
+    type: "object",
+    properties: { lang: { ...lang, default: "en" } },
+    additionalProperties: false,
+  },
+  response: {
+    200: {
+      type: "object",
+      properties: { title: { type: "string" }, html: { type: "string" } },
+    },
+    ...errors,
+  },
+};
+
+export const idsSchema = {
+  summary: "Last modified date by item id",
+  tags: ["items"],
+  response: {
+    200: {
+      type: "object",
+      additionalProperties: { type: "string", format: "date" },
+    },
+    ...errors,
+  },
+};
+
+export const manifestSchema = {
+  summary: "IIIF Presentation 3 manifest of an item",
+  tags: ["iiif"],
+  params: idParams,
+  response: { 200: openObject("IIIF manifest"), ...errors },
+};
+
+export const collectionSchema = {
+  summary: "IIIF Presentation 3 collection of an item's parts",
+  tags: ["iiif"],
+  params: idParams,
+  response: { 200: openObject("IIIF collection"), ...errors },
+};
+
+export const oaiSchema = {
+  summary: "OAI-PMH 2.0 endpoint (oai_dc)",
+  tags: ["harvesting"],
+  // arguments are checked by the endpoint itself (attachValidation in index.js),
+  // errors are OAI-PMH responses
+  querystring: {
+    type: "object",
+    properties: {
+      verb: { type: "string", enum: OAI_VERBS },
+      ...Object.fromEntries(
+        [
+          "identifier",
+          "metadataPrefix",
+          "from",
+          "until",
+          "set",
+          "resumptionToken",
+        ].map((key) => [key, {}]),
+      ),
+    },
+  },
+  response: {
+    200: text("text/xml", "OAI-PMH response"),
+    ...errors,
+  },
+};
+
+export const exportSchema = {
+  summary: "All items matching a query as CSV, XLSX, BibTeX, RIS or CSL-JSON",
+  description:
+    "Takes the filters, sort and order of /query/:id, streams all matching objects instead of a page. Linked creators, themes, … are given by their titles in lang",
+  tags: ["items"],
+  params: idParams,
+  querystring: {
+    type: "object",
+    properties: {
+      format: {
+        type: "string",
+        enum: Object.keys(EXPORT_FORMATS),
+        default: "csv",
+      },
+      lang: { ...lang, default: "en" },
+      ...filterProperties,
+      sort: querySchema.querystring.properties.sort,
+      order: querySchema.querystring.properties.order,
+    },
+    additionalProperties: false,
+  },
+  response: {
+    200: {
+      content: Object.fromEntries(
+        Object.values(EXPORT_FORMATS).map((type) => [
+          type.split(";")[0],
+          { schema: { type: "string", format: "binary" } },
+        ]),
+      ),
+    },
+    ...errors,
+  },
+};
+
+export const feedSchema = {
+  summary: "Feed of new items, newsletters or items matching a query",
+  tags: ["harvesting"],
+  params: {
+    type: "object",
+    properties: {
+      name: { type: "string", enum: ["new", "newsletters", "query"] },
+      format: { type: "string", enum: Object.keys(FEED_FORMATS) },
+    },
+    required: ["name", "format"],
+  },
+  querystring: {
+    type: "object",
+    properties: {
+      limit: querySchema.querystring.properties.limit,
+      ...filterProperties,
+      lang: { ...lang, default: "en" },
+    },
+    additionalProperties: false,
+  },
+  response: {
+    200: {
+      content: Object.fromEntries(
+        Object.values(FEED_FORMATS).map((type) => [
+          type.split(";")[0],
+          { schema: { type: "string" } },
+        ]),
+      ),
+    },
+    ...errors,
+  },
+};
+
+export const sitemapSchema = {
+  summary: "Sitemap, or sitemap index when there are more than 50000 urls",
+  tags: ["harvesting"],
+  response: { 200: text("application/xml", "Sitemap"), ...errors },
+};
+
+export const sitemapPartSchema = {
+  summary: "Part of a sitemap listed in the sitemap index",
+  tags: ["harvesting"],
+  params: {
+    type: "object",
+    properties: { n: { type: "integer", minimum: 1 } },
+    required: ["n"],
+  },
+  response: { 200: text("application/xml", "Sitemap"), ...errors },
+};
+
+export const robotsSchema = {
+  summary: "robots.txt pointing to the sitemap",
+  tags: ["harvesting"],
+  response: { 200: text("text/plain", "robots.txt") },
+};
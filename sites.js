@@ -0,0 +1,123 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import * as env from "./env.js";
+import { parseOrigin, readConfig } from "./utils/helper.js";
+
+// SITES
+// one api can serve several omeka installations (tenants), read from SITES_CONFIG
+// (JSON or YAML) keyed by site name: { hosts?: string[], <any of SITE_SETTINGS>? }.
+// Settings left out default to the env, without SITES_CONFIG the env is the only site.
+// The site of a request is picked by its /:site/ prefix, else by its Host header,
+// else it is the first site; code reads it through currentSite()
+
+/** env settings that can differ per site */
+export const SITE_SETTINGS = [
+  "OMEKA_API",
+  "OMEKA_SITE",
+  "OMEKA_FILE_URL",
+  "OMEKA_FILE_URL_REPLACEMENT",
+  "FEATURED_ITEM_SET",
+  "HEROES_ITEM_SET",
+  "NEWSLETTER_TYPE_ID",
+  "ORIGIN",
+  "API_URL",
+  "SITE_NAME",
+  "OAI_ADMIN_EMAIL",
+  "SITEMAP_LANGUAGES",
+  "SITEMAP_ITEM_URL",
+  "SITEMAP_PAGE_URL",
+  "WEBHOOK_SECRET",
+];
+
+/**
+ * Read and check the sites config, every site gets the env value of the settings it
+ * leaves out and its parsed CORS origins.
+ * @param {string} path - .json, .yaml or .yml, see readConfig
+ * @returns {Object.<string, {name:string, hosts:string[], origins:RegExp[]}>} with the SITE_SETTINGS
+ */
+
+export function loadSites(path) {
+  const config = readConfig(path) ?? {};
+  if (Object.keys(config).length === 0) {
+    throw new Error(`No sites in ${path}`);
+  }
+
+  return Object.fromEntries(
+    Object.entries(config).map(([name, entry]) => {
+      const { hosts = [], ...settings } = entry ?? {};
+      if (!/^[a-z0-9_-]+$/i.test(name)) {
+        throw new Error(
+          `Site ${name} in ${path} needs a name of a-z, 0-9, _ or -`,
+        );
+      }
+      const unknown = Object.keys(settings).find(
+        (key) => !SITE_SETTINGS.includes(key),
+      );
+      if (unknown != null) {
+        throw new Error(
+          `Site ${name} in ${path} has an unknown setting ${unknown}`,
+        );
+      }
+
+      return [name, createSite(name, [hosts].flat(), settings)];
+    }),
+  );
+}
+
+function createSite(name, hosts, settings) {
+  const site = {
+    name,
+    hosts: hosts.map((host) => host.toLowerCase()),
+    ...Object.fromEntries(SITE_SETTINGS.map((key) => [key, env[key]])),
+    ...Object.fromEntries(
+      Object.entries(settings).map(([key, value]) => [key, `${value}`]),
+    ),
+  };
+  return { ...site, origins: parseOrigin(site.ORIGIN) };
+}
+
+/** Sites by name, the first one is the default */
+export const sites = env.SITES_CONFIG
+  ? loadSites(env.SITES_CONFIG)
+  : { default: createSite("default", [], {}) };
+
+const defaultSite = Object.values(sites)[0];
+const storage = new AsyncLocalStorage();
+
+/**
+ * Site of the running request or scheduler, the default site outside of any.
+ * @returns {{name:string, hosts:string[], origins:RegExp[]}} with the SITE_SETTINGS
+ */
+
+export function currentSite() {
+  return storage.getStore() ?? defaultSite;
+}
+
+/**
+ * Run fn for a site: currentSite() returns it in fn and everything fn starts
+ * (promises, timers).
+ * @param {Object} site - one of sites
+ * @param {Function} fn
+ * @returns {*} the result of fn
+ */
+
+export function runInSite(site, fn) {
+  return storage.run(site, fn);
+}
+
+/**
+ * Site a request is for: a site name as first path segment, else a site listing
+ * the Host header, else the default site.
+ * @param {{url:string, headers:Object}} req
+ * @returns {Object}
+ */
+
+export function findSite({ url, headers }) {
+  const prefix = url.match(/^\/([^/?]+)/)?.[1];
+  if (Object.hasOwn(sites, prefix ?? "")) return sites[prefix];
+
+  const host = headers.host?.toLowerCase().replace(/:[0-9]+$/, "");
+  return (
+    Object.values(sites).find(({ hosts }) => hosts.includes(host)) ??
+    defaultSite
+  );
+}
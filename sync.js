@@ -0,0 +1,92 @@
+import { getAllItems, getModifiedSince, patchAllItems } from "./api.js";
+import { getCache, setCache } from "./cache.js";
+import { SYNC_INTERVAL } from "./env.js";
+import { currentSite } from "./sites.js";
+import { normalizeValue } from "./utils/normalize.js";
+
+// SYNC
+// polls omeka for items modified since the last run (the watermark, kept in the cache)
+// and patches them into the cached allItems instead of flushing everything,
+// each site polls on its own
+
+const WATERMARK_KEY = "sync:watermark";
+const WATERMARK_TTL = 60 * 60 * 24 * 30;
+
+// by site name
+const timeouts = new Map();
+const running = new Set();
+
+export async function sync() {
+  const { name } = currentSite();
+  if (running.has(name)) return;
+  running.add(name);
+
+  try {
+    const watermark = await getCache(WATERMARK_KEY);
+    const allItems = await getAllItems();
+    if (allItems.error) {
+      console.error(`Sync failed: ${allItems.error.message}`);
+      return;
+    }
+
+    // first run or after a flush: the fresh allItems are the starting point
+    if (watermark == null) {
+      await setWatermark(latestModified(allItems));
+      return;
+    }
+
+    const fetched = await getModifiedSince(watermark);
+    if (fetched.error) {
+      console.error(`Sync failed: ${fetched.error.message}`);
+      return;
+    }
+    // the items of the watermark's second come again, left out once patched
+    const current = new Map(
+      allItems.map((item) => [item["o:id"], item["o:modified"]?.["@value"]]),
+    );
+    const modifiedItems = fetched.filter(
+      (item) => current.get(item["o:id"]) !== item["o:modified"]?.["@value"],
+    );
+    if (modifiedItems.length === 0) return;
+
+    const { patched, filters } = await patchAllItems(modifiedItems);
+    await setWatermark(Math.max(watermark, latestModified(modifiedItems)));
+
+    console.log(
+      `Synced ${patched} modified items${filters.length > 0 ? `, recomputed filters: ${filters.join(", ")}` : ""}`,
+    );
+  } catch (err) {
+    console.error("Sync failed", err);
+  } finally {
+    running.delete(name);
+  }
+}
+
+// for the current site
+export function startSync(interval = SYNC_INTERVAL * 1000) {
+  const { name } = currentSite();
+  stopSync();
+  const tick = async () => {
+    await sync();
+    timeouts.set(name, setTimeout(tick, interval));
+  };
+  tick();
+}
+
+export function stopSync() {
+  const { name } = currentSite();
+  clearTimeout(timeouts.get(name));
+  timeouts.delete(name);
+}
+
+async function setWatermark(time) {
+  await setCache(WATERMARK_KEY, WATERMARK_TTL, time);
+}
+
+function latestModified(items) {
+  return items.reduce(
+    (latest, { "o:modified": modified }) =>
+      Math.max(latest, new Date(normalizeValue(modified)).getTime() || 0),
+    0,
+  );
+}
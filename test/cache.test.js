@@ -0,0 +1,174 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { ClientOfflineError, ErrorReply } from "redis";
+import { createMemoryCache } from "../memory.js";
+import { isConnectionError } from "../redis.js";
+
+// the in-memory backend, cache.js reads it from the env when loaded
+process.env.CACHE_BACKEND = "memory";
+const { cached, createFallback, freshTtlCache, getCache, setCache, ttlCache } =
+  await import("../cache.js");
+const { CACHE_GRACE } = await import("../env.js");
+
+// a fetcher counting its calls
+function counting(result) {
+  const fetcher = async () => {
+    fetcher.calls++;
+    await new Promise((resolve) => setImmediate(resolve));
+    return result;
+  };
+  fetcher.calls = 0;
+  return fetcher;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("createMemoryCache", () => {
+  it("evicts the least recently used entries beyond maxEntries", async () => {
+    const memory = createMemoryCache({ maxEntries: 2, maxSize: 1000 });
+    await memory.set("a", 60, 1);
+    await memory.set("b", 60, 2);
+    await memory.get("a");
+    await memory.set("c", 60, 3);
+
+    assert.deepEqual(await memory.keys("*"), ["a", "c"]);
+    assert.equal(await memory.get("b"), null);
+  });
+
+  it("evicts beyond maxSize and skips values larger than it", async () => {
+    const memory = createMemoryCache({ maxEntries: 10, maxSize: 10 });
+    await memory.set("a", 60, "1234");
+    await memory.set("b", 60, "5678");
+    assert.deepEqual(await memory.keys("*"), ["b"]);
+
+    await memory.set("large", 60, "12345678901");
+    assert.equal(await memory.get("large"), null);
+    assert.equal(await memory.get("b"), "5678");
+  });
+
+  it("expires entries after their ttl", async () => {
+    const memory = createMemoryCache({ maxEntries: 10, maxSize: 1000 });
+    await memory.set("short", 0.01, "value");
+    await memory.set("long", 60, "value");
+    assert.equal(await memory.ttl("long"), 60);
+    assert.equal(await memory.get("short"), "value");
+
+    await sleep(20);
+    assert.equal(await memory.get("short"), null);
+    assert.equal(await memory.ttl("short"), -2);
+    assert.deepEqual(await memory.keys("*"), ["long"]);
+  });
+});
+
+describe("createFallback", () => {
+  // a redis failing with redis.error while it is set
+  function fakeRedis() {
+    const store = createMemoryCache({ maxEntries: 10, maxSize: 1000 });
+    const redis = { connected: Promise.resolve(), isReady: () => true };
+    for (const command of ["get", "set", "del", "ttl", "keys"]) {
+      redis[command] = async (...args) => {
+        if (redis.error) throw redis.error;
+        return await store[command](...args);
+      };
+    }
+    return redis;
+  }
+
+  it("uses memory while redis is unreachable and flushes it after", async () => {
+    const redis = fakeRedis();
+    const memory = createMemoryCache({ maxEntries: 10, maxSize: 1000 });
+    const run = createFallback(redis, memory);
+
+    await run("set", "key", 60, "redis");
+    redis.error = Object.assign(new Error("connect"), { code: "ECONNREFUSED" });
+    assert.equal(await run("get", "key"), null);
+    await run("set", "key", 60, "memory");
+    assert.equal(await run("get", "key"), "memory");
+
+    delete redis.error;
+    assert.equal(await run("get", "key"), "redis");
+    assert.deepEqual(await memory.keys("*"), []);
+  });
+
+  it("passes other redis errors to the caller", async () => {
+    const redis = fakeRedis();
+    const run = createFallback(
+      redis,
+      createMemoryCache({ maxEntries: 10, maxSize: 1000 }),
+    );
+
+    redis.error = new ErrorReply("ERR invalid expire time in 'setex'");
+    await assert.rejects(run("set", "key", 0, "value"), ErrorReply);
+  });
+});
+
+describe("setCache", () => {
+  it("keeps values with a ttl of a missing key for a second", async () => {
+    await setCache("expired", await ttlCache("expired"), { ok: true });
+    assert.deepEqual(await getCache("expired"), { ok: true });
+    assert.equal(await ttlCache("expired"), 1);
+  });
+});
+
+describe("isConnectionError", () => {
+  it("tells an unreachable redis from failed commands", () => {
+    assert.equal(isConnectionError(new ClientOfflineError()), true);
+    assert.equal(
+      isConnectionError(Object.assign(new Error(), { code: "ECONNREFUSED" })),
+      true,
+    );
+    assert.equal(
+      isConnectionError(new ErrorReply("ERR invalid expire time in 'setex'")),
+      false,
+    );
+    assert.equal(isConnectionError(new SyntaxError("Unexpected token")), false);
+  });
+});
+
+describe("cached", () => {
+  it("shares one fetch between concurrent misses", async () => {
+    const fetcher = counting({ value: 1 });
+    const results = await Promise.all([
+      cached("flight", { ttl: 60 }, fetcher),
+      cached("flight", { ttl: 60 }, fetcher),
+    ]);
+    assert.deepEqual(results, [{ value: 1 }, { value: 1 }]);
+    assert.equal(fetcher.calls, 1);
+
+    await cached("flight", { ttl: 60 }, fetcher);
+    assert.equal(fetcher.calls, 1);
+  });
+
+  it("serves stale values while one fetch refreshes them", async () => {
+    // stored stale: less than stale + grace seconds left
+    await setCache("stale", +CACHE_GRACE + 30, "old");
+    const fetcher = counting("new");
+
+    assert.equal(await cached("stale", { ttl: 60 }, fetcher), "old");
+    assert.equal(await cached("stale", { ttl: 60 }, fetcher), "old");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    assert.equal(fetcher.calls, 1);
+    assert.equal(await getCache("stale"), "new");
+  });
+
+  it("caches 404s for negativeTtl seconds, other errors not", async () => {
+    const notFound = counting({ error: { statusCode: 404 } });
+    await cached("missing", { ttl: 60, negativeTtl: 5 }, notFound);
+    await cached("missing", { ttl: 60, negativeTtl: 5 }, notFound);
+    assert.equal(notFound.calls, 1);
+    assert.ok((await ttlCache("missing")) <= 5);
+
+    const failing = counting({ error: { statusCode: 502 } });
+    await cached("failing", { ttl: 60 }, failing);
+    await cached("failing", { ttl: 60 }, failing);
+    assert.equal(failing.calls, 2);
+    assert.equal(await getCache("failing"), null);
+  });
+
+  it("tells the fresh ttl without the stale and grace periods", async () => {
+    await cached("fresh", { ttl: 100 }, counting("value"));
+    const fresh = await freshTtlCache("fresh");
+    assert.ok(fresh > 95 && fresh <= 100);
+    assert.equal(await freshTtlCache("unknown"), 0);
+  });
+});
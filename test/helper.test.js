@@ -0,0 +1,76 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  languageChain,
+  languageMap,
+  localizeObject,
+  lookupLanguage,
+  parseAcceptLanguage,
+} from "../utils/helper.js";
+
+describe("localizeObject", () => {
+  const title = languageMap({
+    en: "Water",
+    "zh-Hans": "水",
+    "zh-Hant": "水源",
+  });
+
+  it("localizes tagged language maps only", () => {
+    assert.deepEqual(
+      localizeObject({ title, sizes: { xs: 1, lg: 2 } }, "zh-Hant"),
+      { title: "水源", sizes: { xs: 1, lg: 2 } },
+    );
+  });
+
+  it("falls back along the chain, then to the first value", () => {
+    assert.equal(localizeObject(title, "zh-Hant-TW"), "水源");
+    assert.equal(localizeObject(title, "zh"), "水");
+    assert.equal(
+      localizeObject(languageMap({ en: "Water" }), "zh-Hant"),
+      "Water",
+    );
+    assert.equal(localizeObject(languageMap({ fr: "Eau" }), "zh"), "Eau");
+  });
+
+  it("collects the languages of the values picked", () => {
+    const served = new Set();
+    localizeObject(
+      [title, languageMap({ en: "Water" }), "水"],
+      "zh-Hant-TW",
+      served,
+    );
+    assert.deepEqual([...served], ["zh-Hant", "en"]);
+  });
+
+  it("untags language maps without lang", () => {
+    assert.deepEqual(localizeObject([title], null), [
+      { en: "Water", "zh-Hans": "水", "zh-Hant": "水源" },
+    ]);
+  });
+});
+
+describe("languageChain", () => {
+  it("adds the fallbacks of the most specific configured prefix", () => {
+    assert.deepEqual(languageChain("zh-Hant-TW"), ["zh-Hant-TW", "zh", "en"]);
+    assert.deepEqual(languageChain(["en-GB", "zh"]), ["en-GB", "zh", "en"]);
+  });
+});
+
+describe("lookupLanguage", () => {
+  it("truncates subtags, then takes a more specific tag", () => {
+    assert.equal(lookupLanguage(["en", "zh"], ["zh-Hant-TW"]), "zh");
+    assert.equal(lookupLanguage(["en", "zh-Hans"], ["zh"]), "zh-Hans");
+    assert.equal(lookupLanguage(["en-GB"], ["fr", "EN"]), "en-GB");
+    assert.equal(lookupLanguage(["en"], ["fr"]), undefined);
+  });
+});
+
+describe("parseAcceptLanguage", () => {
+  it("orders supported languages by quality", () => {
+    assert.deepEqual(
+      parseAcceptLanguage("fr, en;q=0.5, zh-hant-tw;q=0.8, zh;q=0, *"),
+      ["zh-Hant-TW", "en"],
+    );
+    assert.deepEqual(parseAcceptLanguage(undefined), []);
+  });
+});
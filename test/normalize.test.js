@@ -0,0 +1,112 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  normalizeHtml,
+  normalizeMedia,
+  normalizeReverseItems,
+  normalizeSearchString,
+  normalizeType,
+  normalizeValue,
+} from "../utils/normalize.js";
+import { isLanguageMap, languageMap } from "../utils/helper.js";
+
+describe("normalizeValue", () => {
+  it("indexes multiple values by language", () => {
+    assert.deepEqual(
+      normalizeValue([
+        { "@value": " Clean Water ", "@language": "en" },
+        { "@value": "清洁水", "@language": "zh" },
+      ]),
+      languageMap({ en: "Clean Water", zh: "清洁水" }),
+    );
+  });
+
+  it("lists multiple values without a language", () => {
+    const value = normalizeValue([{ "@value": "1998" }, { "@value": "1999" }]);
+    assert.deepEqual(value, ["1998", "1999"]);
+    assert.equal(isLanguageMap(value), false);
+    assert.deepEqual(
+      normalizeValue([
+        { "@value": " Water ", "@language": "en" },
+        { "@value": "水" },
+      ]),
+      ["Water", "水"],
+    );
+  });
+
+  it("unwraps single values and trims them", () => {
+    assert.equal(normalizeValue([{ "@value": " Poster " }]), "Poster");
+    assert.equal(normalizeValue({ "@value": "1998" }), "1998");
+    assert.equal(normalizeValue(undefined), undefined);
+  });
+
+  it("converts numeric:integer values to numbers", () => {
+    assert.equal(
+      normalizeValue([{ type: "numeric:integer", "@value": "7" }]),
+      7,
+    );
+  });
+});
+
+describe("normalizeMedia", () => {
+  it("reads durations in seconds, as timecode or ISO 8601", () => {
+    const media = (duration) => ({
+      "o:source": "a.mp3",
+      "o:media_type": "audio/mpeg",
+      ...(duration && { "ebucore:duration": [{ "@value": duration }] }),
+    });
+    assert.deepEqual(
+      normalizeMedia([
+        media("42"),
+        media("1:00:00"),
+        media("PT1M30.5S"),
+        media("soon"),
+        media(),
+      ]).map(({ duration }) => duration),
+      [42, 3600, 90.5, undefined, undefined],
+    );
+  });
+});
+
+describe("normalizeReverseItems", () => {
+  it("collects the ids of all reverse properties", () => {
+    assert.deepEqual(
+      normalizeReverseItems({
+        "dcterms:creator": [{ "@id": "http://omeka.test/api/items/2101" }],
+        "dcterms:isPartOf": [{ "@id": "http://omeka.test/api/items/2104" }],
+      }),
+      [2101, 2104],
+    );
+    assert.equal(normalizeReverseItems(undefined), null);
+  });
+});
+
+describe("normalizeType", () => {
+  it("maps the resource class to a linked type", () => {
+    assert.equal(
+      normalizeType({ "@type": ["o:Item", "foaf:Person"] }),
+      "creator",
+    );
+    assert.equal(normalizeType({ "@type": "o:Item" }), "object");
+  });
+});
+
+describe("normalizeHtml", () => {
+  it("decodes html media by language", () => {
+    assert.deepEqual(
+      normalizeHtml([
+        { "o:renderer": "file" },
+        { "o:renderer": "html", "o:lang": "en", data: { html: "&lt;p&gt;" } },
+        { "o:renderer": "html", "o:lang": "zh", data: { html: "&lt;b&gt;" } },
+      ]),
+      languageMap({ en: "<p>", zh: "<b>" }),
+    );
+  });
+});
+
+describe("normalizeSearchString", () => {
+  it("drops short terms and folds Traditional Chinese", () => {
+    assert.deepEqual(normalizeSearchString("water,of,環境"), ["water", "环境"]);
+    assert.deepEqual(normalizeSearchString(undefined), []);
+  });
+});
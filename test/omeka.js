@@ -0,0 +1,115 @@
+import { readFileSync } from "node:fs";
+import { createServer } from "node:http";
+
+// FAKE OMEKA
+// a local stand-in for the omeka api serving the fixtures in test/fixtures,
+// supports the parameters this api sends: paging, id, item_set_id, property[], sort_by
+
+const fixture = (name) =>
+  JSON.parse(
+    readFileSync(new URL(`./fixtures/${name}.json`, import.meta.url), "utf8"),
+  );
+
+/**
+ * Start the fake omeka api on a random port.
+ * `db` can be changed between requests, `failWith(status)` makes every
+ * following request fail until `failWith(null)`.
+ * @returns {Promise<{url:string, db:Object, requests:string[], failWith:(status:?number) => void, close:() => Promise<void>}>}
+ */
+
+export async function startOmeka() {
+  const db = {
+    items: fixture("items"),
+    media: fixture("media"),
+    site_pages: fixture("site_pages"),
+  };
+  const requests = [];
+  let failure = null;
+
+  const server = createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    requests.push(`${url.pathname}${url.search}`);
+
+    const send = (status, body) => {
+      res.writeHead(status, { "content-type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    if (failure != null) return send(failure, { errors: { error: "Failure" } });
+
+    const [, resource, id] =
+      url.pathname.match(/^\/api\/(items|media|site_pages)(?:\/([0-9]+))?$/) ??
+      [];
+    if (resource == null) return send(404, { errors: { error: "Not found" } });
+
+    if (id != null) {
+      const record = db[resource].find((record) => record["o:id"] === +id);
+      return record
+        ? send(200, record)
+        : send(404, { errors: { error: "Not found" } });
+    }
+
+    send(200, list(db[resource], url.searchParams));
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/api`,
+    db,
+    requests,
+    failWith(status) {
+      failure = status;
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+function list(records, params) {
+  let result = records.filter((record) => matches(record, params));
+
+  const sortBy = params.get("sort_by");
+  if (sortBy != null) {
+    const value = (record) => record[`o:${sortBy}`]?.["@value"] ?? "";
+    const order = params.get("sort_order") === "desc" ? -1 : 1;
+    result = result.toSorted(
+      (a, b) => order * `${value(a)}`.localeCompare(`${value(b)}`),
+    );
+  }
+
+  const perPage = +(params.get("per_page") ?? 25);
+  const page = +(params.get("page") ?? 1);
+  return result.slice((page - 1) * perPage, page * perPage);
+}
+
+function matches(record, params) {
+  const ids = params.get("id")?.split(",").map(Number);
+  if (ids != null && !ids.includes(record["o:id"])) return false;
+
+  const itemSet = params.get("item_set_id");
+  if (
+    itemSet != null &&
+    !record["o:item_set"]?.some(({ "o:id": id }) => id === +itemSet)
+  )
+    return false;
+
+  if (params.has("slug") && record["o:slug"] !== params.get("slug")) {
+    return false;
+  }
+
+  for (let i = 0; params.has(`property[${i}][property]`); i++) {
+    const values = record[params.get(`property[${i}][property]`)] ?? [];
+    const type = params.get(`property[${i}][type]`);
+    const text = params.get(`property[${i}][text]`);
+
+    const match =
+      type === "res"
+        ? values.some(({ value_resource_id: id }) => `${id}` === text)
+        : type === "sw"
+          ? values.some(({ "@value": value }) => `${value}`.startsWith(text))
+          : JSON.stringify(record).includes(text);
+    if (!match) return false;
+  }
+
+  return true;
+}
@@ -0,0 +1,98 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { dateRange } from "../utils/dates.js";
+import { matchDates, matchProperties, parseQuery } from "../utils/query.js";
+
+const dated = (...values) => ({
+  "dcterms:date": values.map((value) => ({ "@value": value })),
+});
+
+describe("dateRange", () => {
+  it("covers the days of partial dates", () => {
+    assert.deepEqual(dateRange("1998"), [19980101, 19981231]);
+    assert.deepEqual(dateRange("2000-02"), [20000201, 20000229]);
+    assert.deepEqual(dateRange("1995-03-01T10:00:00"), [19950301, 19950301]);
+    assert.equal(dateRange("undated"), null);
+  });
+});
+
+describe("parseQuery dates", () => {
+  it("narrows from, to and decade to full dates", () => {
+    assert.deepEqual(parseQuery({ from: "1966", to: "1976-05" }).dates, {
+      from: "1966-01-01",
+      to: "1976-05-31",
+      undated: "exclude",
+    });
+    assert.deepEqual(parseQuery({ decade: "1990s", from: "1995-06" }).dates, {
+      from: "1995-06-01",
+      to: "1999-12-31",
+      undated: "exclude",
+    });
+    assert.equal(parseQuery({}).dates, null);
+  });
+
+  it("puts the dates into the query string", () => {
+    assert.match(
+      parseQuery({ decade: "1970s", undated: "include" }).queryString,
+      /^from=1970-01-01&to=1979-12-31&undated=include&/,
+    );
+  });
+});
+
+describe("parseQuery operators", () => {
+  it("maps negations to nres and nsw", () => {
+    const { properties, isLocal } = parseQuery({
+      creator: "!34",
+      year: "!1995",
+    });
+    assert.deepEqual(properties, [
+      { property: "dcterms:creator", searchType: "nres", value: "34" },
+      { property: "dcterms:date", searchType: "nsw", value: "1995" },
+    ]);
+    assert.equal(isLocal, false);
+  });
+
+  it("keeps query strings canonical", () => {
+    assert.equal(
+      parseQuery({ theme: "15|12,!3" }).queryString,
+      parseQuery({ theme: "!3,12|15|12" }).queryString,
+    );
+    assert.equal(parseQuery({ theme: "12|15" }).isLocal, true);
+  });
+});
+
+describe("matchProperties", () => {
+  const item = {
+    "curation:theme": [{ value_resource_id: 12 }],
+    "dcterms:date": [{ "@value": "1995-03" }],
+  };
+
+  it("matches any alternative and none of the negations", () => {
+    const match = (query) =>
+      matchProperties(item, parseQuery(query).properties);
+
+    assert.equal(match({ theme: "12|15" }), true);
+    assert.equal(match({ theme: "12,15" }), false);
+    assert.equal(match({ theme: "!15" }), true);
+    assert.equal(match({ theme: "!12|15" }), false);
+    assert.equal(match({ year: "1994|1995" }), true);
+  });
+});
+
+describe("matchDates", () => {
+  const { dates } = parseQuery({ from: "1998-06", to: "2001" });
+
+  it("matches dates of any precision overlapping the range", () => {
+    assert.equal(matchDates(dated("1998"), dates), true);
+    assert.equal(matchDates(dated("1998-05-31"), dates), false);
+    assert.equal(matchDates(dated("2001-12"), dates), true);
+    assert.equal(matchDates(dated("1978/1999"), dates), true);
+  });
+
+  it("handles undated items explicitly", () => {
+    assert.equal(matchDates({}, dates), false);
+    assert.equal(matchDates({}, { ...dates, undated: "include" }), true);
+    assert.equal(matchDates({}, { undated: "only" }), true);
+    assert.equal(matchDates(dated("1998"), { undated: "only" }), false);
+  });
+});
@@ -0,0 +1,36 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { buildRelatedIndex, scoreRelated } from "../utils/related.js";
+
+const object = (id, creators, date) => ({
+  "o:id": id,
+  "@type": "o:Item",
+  "dcterms:creator": creators.map((creator) => ({
+    value_resource_id: creator,
+  })),
+  ...(date && { "dcterms:date": [{ "@value": date }] }),
+});
+
+describe("related items", () => {
+  const index = buildRelatedIndex([
+    object(1, [10, 11], "1990"),
+    object(2, [10], "1990"),
+    object(3, [11], "2010"),
+    object(4, [12], "1990"),
+  ]);
+
+  it("indexes the linked resources of every object", () => {
+    assert.deepEqual(index.postings["creator:10"], [1, 2]);
+    assert.deepEqual(index.linked[1], ["creator:10", "creator:11"]);
+    assert.equal(index.years[3], 2010);
+  });
+
+  it("scores only the objects sharing a creator, theme or era", () => {
+    // 4 has the same year but no creator in common
+    assert.deepEqual(scoreRelated(index, 1), [
+      [2, 5],
+      [3, 3],
+    ]);
+    assert.deepEqual(scoreRelated(index, 99), []);
+  });
+});
@@ -0,0 +1,1014 @@
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import { after, describe, it } from "node:test";
+import { archive, get, omeka, server } from "./setup.js";
+
+after(async () => {
+  await server.close();
+  await omeka.close();
+  await archive.close();
+});
+
+const ids = (items) => items.map(({ id }) => id);
+
+describe("/filters", () => {
+  it("counts linked resources and years of all items but issues", async () => {
+    const res = await get("/filters");
+    assert.equal(res.statusCode, 200);
+
+    const filters = res.json();
+    assert.deepEqual(filters.creator, [
+      { id: 1010, title: { en: "Ai Weiwei", zh: "艾未未" }, count: 2 },
+      { id: 1011, title: { en: "Xu Bing", zh: "徐冰" }, count: 2 },
+    ]);
+    assert.deepEqual(ids(filters.objectType), [1020, 1021]);
+    assert.deepEqual(filters.era, [
+      { id: 1040, title: "1990s", count: 1 },
+      { id: 1041, title: "Reform era", count: 1 },
+    ]);
+    assert.deepEqual(filters.year.map(({ value }) => value).sort(), [
+      "1978",
+      "1995",
+      "1998",
+      "2001",
+    ]);
+  });
+
+  it("counts the types added in the types config", async () => {
+    const filters = (await get("/filters?lang=zh")).json();
+    assert.deepEqual(filters.place, [{ id: 1050, title: "北京", count: 1 }]);
+    // media have no cutAt, only years of dates are cut at "-"
+    assert.deepEqual(filters.medium, [
+      { value: "Hong Kong-based print", count: 1 },
+    ]);
+  });
+
+  it("localizes titles", async () => {
+    const filters = (await get("/filters?lang=zh")).json();
+    assert.equal(filters.theme[0].title, "环境");
+  });
+
+  it("rejects unknown languages", async () => {
+    const res = await get("/filters?lang=fr");
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.json().statusCode, 400);
+  });
+});
+
+describe("/featured", () => {
+  it("returns featured and new items, newsletters and heroes", async () => {
+    const res = await get("/featured?lang=en");
+    assert.equal(res.statusCode, 200);
+
+    const { featured, newItems, newsletters, heroes } = res.json();
+    assert.deepEqual(ids(featured), [2101]);
+    assert.equal(featured[0].title, "Clean Water");
+    assert.deepEqual(ids(newItems).slice(0, 3), [2105, 2103, 2102]);
+    assert.deepEqual(ids(newsletters), [2102]);
+    assert.deepEqual(heroes, [
+      "http://omeka.test/files/large/2102.jpg",
+      "http://omeka.test/files/large/2105.jpg",
+    ]);
+  });
+});
+
+describe("/item/:id", () => {
+  it("normalizes multilingual values, numbers and linked resources", async () => {
+    const item = (await get("/item/2101")).json();
+
+    assert.deepEqual(item.title, { en: "Clean Water", zh: "清洁水" });
+    assert.equal(item.number, 7);
+    assert.equal(item.published, "1995-03-01");
+    assert.deepEqual(item.media, [3500, 3501, 3502]);
+    assert.deepEqual(item.creator, [
+      { id: 1010, title: { en: "Ai Weiwei", zh: "艾未未" } },
+    ]);
+    assert.deepEqual(item.heroes, ["http://omeka.test/files/medium/2101.jpg"]);
+  });
+
+  it("lists parts from @reverse ids", async () => {
+    const item = (await get("/item/2102")).json();
+    assert.deepEqual(item.items, [2104]);
+  });
+
+  it("localizes to lang, language subtags included", async () => {
+    const res = await get("/item/2101?lang=zh-Hans");
+    assert.equal(res.json().title, "清洁水");
+    assert.equal(res.json().creator[0].title, "艾未未");
+    // the language of the values served, not the one asked for
+    assert.equal(res.headers["content-language"], "zh");
+  });
+
+  it("negotiates the language by Accept-Language without lang", async () => {
+    const res = await get("/item/2101", {
+      "accept-language": "fr-CH, zh-Hant;q=0.9, en;q=0.8",
+    });
+    assert.equal(res.json().title, "清洁水");
+    assert.equal(res.headers["content-language"], "zh");
+    assert.ok(res.headers.vary.split(", ").includes("Accept-Language"));
+
+    const all = await get("/item/2101", { "accept-language": "fr" });
+    assert.deepEqual(all.json().title, { en: "Clean Water", zh: "清洁水" });
+    assert.equal(all.headers["content-language"], undefined);
+  });
+
+  it("lists several values without a language", async () => {
+    const era = (await get("/item/1041?lang=en")).json();
+    assert.deepEqual(era.published, ["1978", "2012"]);
+  });
+
+  it("sends Content-Language for localized responses only", async () => {
+    const en = await get("/item/2101", { "accept-language": "en-GB" });
+    assert.equal(en.headers["content-language"], "en");
+    const sitemap = await get("/sitemap.xml", { "accept-language": "zh" });
+    assert.equal(sitemap.headers["content-language"], undefined);
+    const csv = await get("/export/1011?lang=zh");
+    assert.equal(csv.headers["content-language"], undefined);
+  });
+
+  it("serves schema.org and Linked Art JSON-LD", async () => {
+    const jsonld = await get("/item/2101?format=jsonld&lang=en");
+    assert.match(jsonld.headers["content-type"], /application\/ld\+json/);
+    assert.equal(jsonld.json()["@type"], "CreativeWork");
+    assert.equal(jsonld.json().creator[0]["@id"], "http://api.test/item/1010");
+
+    const linkedArt = await get("/item/1010", {
+      accept:
+        'application/ld+json;profile="https://linked.art/ns/v1/linked-art.json"',
+    });
+    assert.equal(linkedArt.json().type, "Person");
+    assert.ok(linkedArt.headers.vary.split(", ").includes("Accept"));
+
+    const object = await get("/item/2104", {
+      accept:
+        'application/ld+json;profile="https://linked.art/ns/v1/linked-art.json"',
+    });
+    const { timespan } = object.json().produced_by;
+    assert.equal(timespan.begin_of_the_begin, "1998-05-01T00:00:00Z");
+    assert.equal(timespan.end_of_the_end, "1998-05-31T23:59:59Z");
+  });
+
+  it("answers 404 for missing items", async () => {
+    const res = await get("/item/9999");
+    assert.equal(res.statusCode, 404);
+    assert.deepEqual(res.json(), {
+      statusCode: 404,
+      error: "Not Found",
+      message: "Not Found",
+    });
+  });
+});
+
+describe("/item/:id/related", () => {
+  it("ranks objects by shared creators, themes and date proximity", async () => {
+    const related = (await get("/item/2102/related")).json();
+    assert.deepEqual(ids(related), [2101, 2103]);
+
+    const limited = (await get("/item/2102/related?limit=1&lang=zh")).json();
+    assert.deepEqual(ids(limited), [2101]);
+    assert.equal(limited[0].title, "清洁水");
+  });
+
+  it("leaves out parts and items sharing only an object type", async () => {
+    assert.deepEqual(ids((await get("/item/2101/related")).json()), [2102]);
+    assert.deepEqual((await get("/item/2104/related")).json(), []);
+  });
+
+  it("answers 404 for missing items", async () => {
+    assert.equal((await get("/item/9999/related")).statusCode, 404);
+  });
+});
+
+describe("/item-details/:id", () => {
+  it("splits media into files and decoded html by language", async () => {
+    const details = (await get("/item-details/2101")).json();
+
+    assert.deepEqual(details.media, [
+      {
+        filename: "scans/clean-water.jpg",
+        url: "http://omeka.test/files/original/clean-water.jpg",
+        type: "image/jpeg",
+        title: "clean-water.jpg",
+        width: 2400,
+        height: 3200,
+      },
+    ]);
+    assert.deepEqual(details.html, {
+      en: "<p>Printed in 1995.</p>",
+      zh: "<p>1995年印刷。</p>",
+    });
+  });
+
+  it("is empty for items without media", async () => {
+    assert.deepEqual((await get("/item-details/2105")).json(), []);
+  });
+});
+
+describe("/query/:id", () => {
+  it("lists the objects linked to a creator", async () => {
+    const res = await get("/query/1010?lang=en");
+    assert.equal(res.statusCode, 200);
+
+    const { items, hasNextPage, counts } = res.json();
+    assert.deepEqual(ids(items), [2101, 2102]);
+    assert.equal(hasNextPage, false);
+    assert.deepEqual(counts, { creators: 0, objects: 2 });
+  });
+
+  it("lists the parts of an item", async () => {
+    const { items } = (await get("/query/2102")).json();
+    assert.deepEqual(ids(items), [2104]);
+    assert.equal(items[0].isPart, true);
+  });
+
+  it("combines filters and adds the creators of the matches", async () => {
+    const { items, filters } = (
+      await get("/query/1010?creator=1011&objectType=1021")
+    ).json();
+
+    assert.deepEqual(ids(items), [2102, 1011]);
+    assert.equal(items[1].type, "creator");
+    assert.deepEqual(filters.objectType, { 1021: 1 });
+    assert.deepEqual(filters.creator, { 1010: 1, 1011: 1 });
+  });
+
+  it("filters by year and theme", async () => {
+    const byYear = (await get("/query/1010?year=1995")).json();
+    assert.deepEqual(ids(byYear.items), [2101]);
+
+    const byTheme = (await get("/query/1011?theme=1030&era=1040")).json();
+    assert.deepEqual(ids(byTheme.items), []);
+  });
+
+  it("pages with exact totals", async () => {
+    const { items, hasNextPage, counts, total, totalPages } = (
+      await get("/query/1010?limit=1")
+    ).json();
+
+    assert.deepEqual(ids(items), [2101]);
+    assert.equal(hasNextPage, true);
+    assert.deepEqual(counts, { creators: 1, objects: 2 });
+    assert.equal(total, 2);
+    assert.equal(totalPages, 2);
+  });
+
+  it("counts facets over all pages", async () => {
+    const { items, filters, total } = (
+      await get("/query/1010?creator=1010&limit=1")
+    ).json();
+
+    assert.deepEqual(ids(items), [2101]);
+    assert.equal(total, 2);
+    assert.deepEqual(filters.creator, { 1010: 2, 1011: 1 });
+    assert.deepEqual(filters.year, { 1995: 1, 1998: 1 });
+    assert.deepEqual(filters.theme, { 1030: 2 });
+  });
+
+  it("sorts by date, number, created and title in either order", async () => {
+    const sorted = async (query) =>
+      ids((await get(`/query/1010?creator=1010&${query}`)).json().items);
+
+    assert.deepEqual(await sorted("sort=date&order=desc"), [2102, 2101, 1011]);
+    assert.deepEqual(
+      await sorted("sort=number&order=desc"),
+      [2101, 2102, 1011],
+    );
+    assert.deepEqual(
+      await sorted("sort=created&order=asc"),
+      [2101, 2102, 1011],
+    );
+    assert.deepEqual(await sorted("sort=created"), [2102, 2101, 1011]);
+    assert.deepEqual(await sorted("sort=title&order=desc"), [2102, 2101, 1011]);
+    // relevance needs a search
+    assert.deepEqual(await sorted("sort=relevance"), [2101, 2102, 1011]);
+
+    assert.ok(
+      omeka.requests.some((request) =>
+        request.includes("sort_by=created&sort_order=asc"),
+      ),
+    );
+    assert.equal((await get("/query/1010?sort=random")).statusCode, 400);
+  });
+
+  it("sorts before paging", async () => {
+    const page = async (n) =>
+      ids(
+        (await get(`/query/1010?sort=date&order=desc&limit=1&page=${n}`)).json()
+          .items,
+      );
+
+    assert.deepEqual(await page(1), [2102, 1011]);
+    assert.deepEqual(await page(2), [2101]);
+  });
+
+  it("filters, counts and sorts by types of the types config", async () => {
+    const { items, filters } = (
+      await get("/query/1011?place=1050&lang=en")
+    ).json();
+    assert.deepEqual(ids(items), [2103]);
+    assert.deepEqual(items[0].place, [{ id: 1050, title: "Beijing" }]);
+    assert.deepEqual(filters.place, { 1050: 1 });
+
+    const byCreator = (await get("/query/1011?sort=creator&order=desc")).json();
+    assert.deepEqual(ids(byCreator.items), [2103, 2102, 1010]);
+  });
+
+  it("joins alternatives with | and excludes with !", async () => {
+    const filtered = async (query) =>
+      ids((await get(`/query/1011?sort=title&${query}`)).json().items);
+
+    assert.deepEqual(
+      await filtered("objectType=1020|1021"),
+      [2102, 2103, 1010],
+    );
+    assert.deepEqual(await filtered("objectType=1020,1021"), []);
+    assert.deepEqual(await filtered("creator=!1010"), [2103]);
+    assert.deepEqual(await filtered("year=!1998|2001"), []);
+  });
+
+  it("counts the alternatives of a filter as if they were not selected", async () => {
+    const { items, filters } = (
+      await get("/query/1011?objectType=1021|9999")
+    ).json();
+
+    assert.deepEqual(ids(items), [2102, 1010]);
+    assert.deepEqual(filters.objectType, { 1020: 1, 1021: 1 });
+    assert.deepEqual(filters.creator, { 1010: 1, 1011: 1 });
+  });
+
+  it("filters by date range and decade", async () => {
+    const range = async (query) =>
+      ids((await get(`/query/1011?sort=date&${query}`)).json().items);
+
+    assert.deepEqual(await range("from=1998-01&to=1998-12-31"), [2102, 1010]);
+    assert.deepEqual(await range("from=1996"), [2102, 2103, 1010]);
+    assert.deepEqual(await range("decade=2000s"), [2103]);
+    assert.equal((await get("/query/1011?decade=1975")).statusCode, 400);
+  });
+
+  it("includes, excludes or only lists undated items", async () => {
+    const undated = async (query) =>
+      ids((await get(`/query/2102?${query}`)).json().items);
+
+    assert.deepEqual(await undated("undated=only"), []);
+    assert.deepEqual(await undated("decade=1990s&undated=exclude"), [2104]);
+
+    const timeline = (await get("/timeline?undated=only")).json();
+    assert.equal(timeline.total, 1);
+    assert.equal(timeline.undated, 1);
+  });
+
+  it("lists all creators sorted on the main creator page", async () => {
+    const { items } = (await get("/query/1011?view=creator&lang=zh")).json();
+    assert.deepEqual(
+      items.map(({ title }) => title),
+      ["艾未未", "徐冰"],
+    );
+  });
+
+  it("searches with snippets from description and extracted text", async () => {
+    const description = (await get("/query/1010?search=water&lang=en")).json();
+    assert.deepEqual(ids(description.items), [2101]);
+    assert.deepEqual(description.items[0].snippets, [
+      {
+        term: "water",
+        snippet:
+          "A poster of the campaign against water pollution along the river.",
+      },
+    ]);
+
+    const text = (await get("/query/1010?search=factories&lang=en")).json();
+    assert.equal(text.items[0].snippets[0].term, "Factories");
+    assert.match(text.items[0].snippets[0].snippet, /poured waste/);
+  });
+
+  it("searches locally whatever the sort", async () => {
+    const res = (await get("/query/1010?search=qingjie&sort=created")).json();
+    assert.deepEqual(ids(res.items), [2101]);
+    assert.equal(res.total, 1);
+  });
+
+  it("finds Traditional Chinese titles with Simplified search terms", async () => {
+    const { items } = (await get("/query/1011?search=环境&lang=zh")).json();
+    assert.deepEqual(ids(items), [2103]);
+  });
+
+  it("validates page and limit", async () => {
+    assert.equal((await get("/query/1010?page=0")).statusCode, 400);
+    assert.equal((await get("/query/1010?limit=abc")).statusCode, 400);
+    assert.equal((await get("/query/1010?creator=abc")).statusCode, 400);
+  });
+});
+
+describe("/timeline", () => {
+  it("buckets objects by year with sample thumbnails", async () => {
+    const timeline = (await get("/timeline?lang=en")).json();
+
+    assert.equal(timeline.total, 4);
+    assert.equal(timeline.undated, 1);
+    assert.deepEqual(
+      timeline.buckets.map(({ key, count }) => [key, count]),
+      [
+        ["1995", 1],
+        ["1998", 1],
+        ["2001", 1],
+      ],
+    );
+    assert.deepEqual(timeline.buckets[0].samples, [
+      {
+        id: 2101,
+        title: "Clean Water",
+        thumbnail: "http://omeka.test/files/medium/2101.jpg",
+      },
+    ]);
+  });
+
+  it("keeps the precision of dates coarser than the unit", async () => {
+    const { buckets } = (await get("/timeline?unit=month&samples=0")).json();
+    assert.deepEqual(
+      buckets.map(({ key, unit }) => [key, unit]),
+      [
+        ["1995-03", "month"],
+        ["1998", "year"],
+        ["2001-06", "month"],
+      ],
+    );
+
+    const decades = (await get("/timeline?unit=decade")).json().buckets;
+    assert.deepEqual(
+      decades.map(({ key, start, end, count }) => [key, start, end, count]),
+      [
+        ["1990s", "1990", "1999", 2],
+        ["2000s", "2000", "2009", 1],
+      ],
+    );
+  });
+
+  it("spans eras by their own dates or those of their items", async () => {
+    const { eras } = (await get("/timeline")).json();
+    assert.deepEqual(eras, [
+      { id: 1041, title: "Reform era", start: "1978", end: "2012", count: 1 },
+      {
+        id: 1040,
+        title: "1990s",
+        start: "1995-03-01",
+        end: "1995-03-01",
+        count: 1,
+      },
+    ]);
+  });
+
+  it("takes the filters of /query", async () => {
+    const timeline = (
+      await get("/timeline?creator=1011&objectType=1020")
+    ).json();
+    assert.equal(timeline.total, 1);
+    assert.deepEqual(
+      timeline.buckets.map(({ key }) => key),
+      ["2001"],
+    );
+    assert.deepEqual(
+      timeline.eras.map(({ id }) => id),
+      [1041],
+    );
+
+    assert.equal((await get("/timeline?unit=week")).statusCode, 400);
+  });
+});
+
+describe("/graph/creators", () => {
+  it("weights edges by shared items", async () => {
+    const graph = (await get("/graph/creators?lang=en")).json();
+
+    assert.deepEqual(graph.nodes, [
+      { id: 1010, type: "creator", title: "Ai Weiwei", count: 2 },
+      { id: 1011, type: "creator", title: "Xu Bing", count: 2 },
+    ]);
+    assert.deepEqual(graph.edges, [
+      { source: 1010, target: 1011, type: "creator", weight: 1 },
+    ]);
+  });
+
+  it("adds themes and eras as bipartite nodes", async () => {
+    const graph = (await get("/graph/creators?include=theme")).json();
+
+    assert.deepEqual(
+      graph.nodes.map(({ id, type }) => [id, type]),
+      [
+        [1010, "creator"],
+        [1011, "creator"],
+        [1030, "theme"],
+      ],
+    );
+    assert.deepEqual(
+      graph.edges.filter(({ type }) => type === "theme"),
+      [
+        { source: 1010, target: 1030, type: "theme", weight: 2 },
+        { source: 1011, target: 1030, type: "theme", weight: 1 },
+      ],
+    );
+    assert.equal((await get("/graph/creators?include=year")).statusCode, 400);
+  });
+
+  it("returns the ego network of a creator", async () => {
+    const graph = (
+      await get("/graph/creators/1011?depth=2&include=era&lang=zh")
+    ).json();
+
+    assert.deepEqual(
+      graph.nodes.map(({ id, title }) => [id, title]),
+      [
+        [1010, "艾未未"],
+        [1011, "徐冰"],
+        [1040, "1990s"],
+        [1041, "Reform era"],
+      ],
+    );
+    assert.equal((await get("/graph/creators/2101")).statusCode, 404);
+  });
+
+  it("exports GEXF and GraphML", async () => {
+    const gexf = await get("/graph/creators?format=gexf");
+    assert.match(gexf.headers["content-type"], /application\/gexf\+xml/);
+    assert.match(gexf.body, /<node id="1010" label="Ai Weiwei">/);
+    assert.match(
+      gexf.body,
+      /<edge id="0" source="1010" target="1011" weight="1">/,
+    );
+
+    const graphml = await get("/graph/creators/1010?format=graphml&lang=zh");
+    assert.match(graphml.headers["content-type"], /application\/graphml\+xml/);
+    assert.match(graphml.body, /<data key="label">徐冰<\/data>/);
+  });
+});
+
+describe("/page/:slug", () => {
+  it("returns the localized page", async () => {
+    assert.deepEqual((await get("/page/about?lang=en")).json(), {
+      title: "About",
+      html: "<p>About the archive</p>",
+    });
+    assert.equal((await get("/page/about?lang=zh")).json().title, "关于");
+  });
+
+  it("answers 404 for missing pages", async () => {
+    const res = await get("/page/missing?lang=en");
+    assert.equal(res.statusCode, 404);
+    assert.equal(res.json().message, "Page not found");
+  });
+});
+
+describe("/ids", () => {
+  it("maps ids to their modification date", async () => {
+    const res = (await get("/ids")).json();
+    assert.equal(Object.keys(res).length, 13);
+    assert.equal(res[2101], "2024-02-03");
+  });
+});
+
+describe("IIIF", () => {
+  it("builds a manifest with a canvas per file", async () => {
+    const res = await get("/iiif/item/2101/manifest.json");
+    assert.equal(res.headers["access-control-allow-origin"], "*");
+
+    const manifest = res.json();
+    assert.equal(manifest.type, "Manifest");
+    assert.deepEqual(manifest.label, { en: ["Clean Water"], zh: ["清洁水"] });
+    assert.equal(manifest.items.length, 1);
+    // the size of the IIIF info.json omeka keeps in o:media_data
+    assert.equal(manifest.items[0].width, 2400);
+    assert.equal(manifest.items[0].height, 3200);
+    assert.deepEqual(
+      manifest.metadata.map(({ label }) => label.en?.[0]),
+      ["Date", "Creator", "Object type", "Theme", "Era"],
+    );
+  });
+
+  it("gives sound a duration only and video a duration and size", async () => {
+    const manifest = (await get("/iiif/item/2103/manifest.json")).json();
+    const [sound, video] = manifest.items;
+
+    // place is labelled by the types config
+    assert.deepEqual(manifest.metadata.at(-1).label, {
+      en: ["Place"],
+      zh: ["地点"],
+    });
+
+    assert.equal(sound.duration, 90.5);
+    assert.equal(sound.width, undefined);
+    assert.equal(sound.height, undefined);
+    assert.equal(sound.items[0].items[0].body.type, "Sound");
+
+    assert.equal(video.duration, 120);
+    assert.equal(video.width, 1920);
+    assert.equal(video.height, 1080);
+    assert.equal(video.items[0].items[0].body.width, 1920);
+    assert.equal(video.items[0].items[0].body.type, "Video");
+  });
+
+  it("builds a collection of the parts", async () => {
+    const collection = (await get("/iiif/collection/2102")).json();
+    assert.equal(collection.type, "Collection");
+    assert.deepEqual(
+      collection.items.map(({ id }) => id),
+      ["http://api.test/iiif/item/2104/manifest.json"],
+    );
+  });
+});
+
+describe("/oai", () => {
+  it("identifies the repository", async () => {
+    const res = await get("/oai?verb=Identify");
+    assert.match(res.headers["content-type"], /text\/xml/);
+    assert.match(
+      res.body,
+      /<earliestDatestamp>2024-01-02<\/earliestDatestamp>/,
+    );
+  });
+
+  it("lists records of objects only, filtered by set", async () => {
+    const all = await get("/oai?verb=ListIdentifiers&metadataPrefix=oai_dc");
+    assert.equal(all.body.match(/<identifier>/g).length, 5);
+
+    const set = await get(
+      "/oai?verb=ListRecords&metadataPrefix=oai_dc&set=theme:1030",
+    );
+    assert.equal(set.body.match(/<record>/g).length, 2);
+    assert.match(set.body, /<dc:title xml:lang="zh">清洁水<\/dc:title>/);
+  });
+
+  it("answers protocol errors", async () => {
+    const res = await get("/oai?verb=Unknown");
+    assert.match(res.body, /<error code="badVerb">/);
+  });
+
+  it("takes only OAI-PMH verbs", async () => {
+    for (const verb of ["toString", "constructor", "hasOwnProperty"]) {
+      const res = await get(`/oai?verb=${verb}`);
+      assert.equal(res.statusCode, 200);
+      assert.match(res.body, /<error code="badVerb">/);
+    }
+    const proto = await get("/oai?verb=__proto__");
+    assert.match(proto.body, /<error code="badVerb">/);
+    const { paths } = (await get("/openapi.json")).json();
+    const verb = paths["/oai"].get.parameters.find(
+      ({ name }) => name === "verb",
+    );
+    assert.ok(verb.schema.enum.includes("ListRecords"));
+    const argument = await get("/oai?verb=Identify&constructor=1");
+    assert.match(argument.body, /<error code="badArgument">/);
+  });
+
+  it("takes only its own metadata formats, tokens and day dates", async () => {
+    const error = async (query) =>
+      (await get(`/oai?${query}`)).body.match(
+        /<error code="([a-zA-Z]+)">/,
+      )?.[1];
+    const token = (options) =>
+      Buffer.from(JSON.stringify(options)).toString("base64url");
+
+    assert.equal(
+      await error("verb=ListRecords&metadataPrefix=toString"),
+      "cannotDisseminateFormat",
+    );
+    assert.equal(
+      await error(
+        "verb=GetRecord&metadataPrefix=constructor&identifier=oai:api.test:2101",
+      ),
+      "cannotDisseminateFormat",
+    );
+    for (const options of [
+      { cursor: 0, metadataPrefix: "oai_dc", set: 5 },
+      { cursor: 0, metadataPrefix: "toString" },
+      { cursor: -1, metadataPrefix: "oai_dc" },
+      null,
+    ]) {
+      assert.equal(
+        await error(`verb=ListRecords&resumptionToken=${token(options)}`),
+        "badResumptionToken",
+      );
+    }
+    assert.equal(
+      await error(
+        "verb=ListRecords&metadataPrefix=oai_dc&from=2024-01-01T00:00:00Z",
+      ),
+      "badArgument",
+    );
+  });
+});
+
+describe("/feeds/:name.:format", () => {
+  it("renders newsletters as JSON Feed", async () => {
+    const res = await get("/feeds/newsletters.json");
+    assert.match(res.headers["content-type"], /application\/feed\+json/);
+    assert.deepEqual(
+      res.json().items.map(({ id }) => id),
+      ["http://api.test/item/2102"],
+    );
+  });
+
+  it("renders new items as RSS and Atom", async () => {
+    const rss = await get("/feeds/new.rss?lang=zh");
+    assert.match(rss.body, /<title>清洁水<\/title>/);
+
+    const atom = await get("/feeds/query.atom?objectType=1020");
+    assert.equal(atom.body.match(/<entry>/g).length, 2);
+  });
+
+  it("lists the newest items up to the limit", async () => {
+    const feed = (await get("/feeds/new.json?limit=2")).json();
+    assert.deepEqual(
+      feed.items.map(({ id }) => id),
+      ["http://api.test/item/2105", "http://api.test/item/2103"],
+    );
+  });
+
+  it("rejects unknown feeds", async () => {
+    assert.equal((await get("/feeds/unknown.rss")).statusCode, 400);
+  });
+});
+
+describe("/export/:id", () => {
+  it("streams all matching objects as CSV", async () => {
+    const res = await get("/export/1011?lang=zh");
+    assert.match(res.headers["content-type"], /^text\/csv/);
+    assert.equal(
+      res.headers["content-disposition"],
+      'attachment; filename="export-1011.csv"',
+    );
+
+    const [header, ...rows] = res.body.replace(/^\ufeff/, "").split("\r\n");
+    assert.equal(
+      header,
+      "id,title,titleAlt,published,number,description,creator,objectType,theme,era,place,url,thumbnail",
+    );
+    assert.equal(rows.filter(Boolean).length, 2);
+    assert.match(rows[1], /^2102,Green Earth,.*,艾未未; 徐冰,通讯,环境,/);
+  });
+
+  it("takes the filters and sort of /query", async () => {
+    const res = await get("/export/1011?format=csv&place=1050&sort=title");
+    assert.deepEqual(
+      res.body
+        .split("\r\n")
+        .slice(1, -1)
+        .map((row) => row.split(",")[0]),
+      ["2103"],
+    );
+  });
+
+  it("writes BibTeX, RIS and CSL-JSON", async () => {
+    const bibtex = (await get("/export/1011?format=bibtex&lang=en")).body;
+    assert.match(bibtex, /@misc\{item2102,\n {2}title = \{Green Earth\},/);
+    assert.match(bibtex, /author = \{\{Ai Weiwei\} and \{Xu Bing\}\}/);
+
+    const ris = (await get("/export/1011?format=ris&lang=en")).body;
+    assert.match(ris, /^TY {2}- GEN\r\nID {2}- 2102\r\n/);
+    assert.match(ris, /PY {2}- 1998\r\nDA {2}- 1998\/\/\/\r\n/);
+
+    const csl = (await get("/export/1011?format=csljson&lang=en")).json();
+    assert.deepEqual(csl[0].author, [
+      { literal: "Ai Weiwei" },
+      { literal: "Xu Bing" },
+    ]);
+    assert.deepEqual(csl[1].issued, { "date-parts": [[2001, 6]] });
+  });
+
+  it("zips an XLSX workbook", async () => {
+    const res = await get("/export/1011?format=xlsx");
+    assert.match(res.headers["content-type"], /spreadsheetml\.sheet/);
+    const zip = res.rawPayload;
+    assert.equal(zip.readUInt32LE(0), 0x04034b50);
+    // end of central directory, listing the five parts of the workbook
+    assert.equal(zip.readUInt32LE(zip.length - 22), 0x06054b50);
+    assert.equal(zip.readUInt16LE(zip.length - 12), 5);
+  });
+});
+
+describe("sitemap and robots.txt", () => {
+  it("lists pages and items in every language", async () => {
+    const res = await get("/sitemap.xml");
+    assert.match(res.headers["content-type"], /application\/xml/);
+    assert.equal(res.body.match(/<url>/g).length, 2 * (1 + 13));
+    assert.match(
+      res.body,
+      /<xhtml:link rel="alternate" hreflang="zh" href="https:\/\/example.org\/zh\/page\/about"\/>/,
+    );
+    assert.equal((await get("/sitemap-2.xml")).statusCode, 404);
+  });
+
+  it("points robots to the sitemap", async () => {
+    const res = await get("/robots.txt");
+    assert.match(res.body, /Sitemap: http:\/\/api.test\/sitemap.xml/);
+  });
+});
+
+describe("/hooks/omeka", () => {
+  const post = (body, headers = {}) =>
+    server.inject({
+      method: "POST",
+      url: "/hooks/omeka",
+      headers: { "content-type": "application/json", ...headers },
+      payload: JSON.stringify(body),
+    });
+
+  it("requires the secret", async () => {
+    const res = await post({ resource: "items", id: 2101 });
+    assert.equal(res.statusCode, 401);
+  });
+
+  it("rejects unknown resources", async () => {
+    const res = await post(
+      { resource: "users" },
+      { authorization: "Bearer secret" },
+    );
+    assert.equal(res.statusCode, 400);
+  });
+
+  it("invalidates and patches changed items", async () => {
+    await get("/item/2103");
+    await get("/item/2103/related");
+    await get("/graph/creators");
+    const item = omeka.db.items.find((item) => item["o:id"] === 2103);
+    item["dcterms:title"] = [{ "@value": "Environmental protection" }];
+
+    const body = { resource: "items", event: "update", id: 2103 };
+    const signature = createHmac("sha256", "secret")
+      .update(JSON.stringify(body))
+      .digest("hex");
+    const res = await post(body, { "x-signature": `sha256=${signature}` });
+
+    assert.equal(res.statusCode, 200);
+    assert.ok(res.json().invalidated.includes("item:2103"));
+    assert.equal(
+      (await get("/item/2103")).json().title,
+      "Environmental protection",
+    );
+
+    // dropped for the next request to rebuild, not rebuilt by the sync
+    const { getCache } = await import("../cache.js");
+    assert.equal(await getCache("related"), null);
+    assert.equal(await getCache("graph:creators"), null);
+    assert.equal((await get("/item/2103/related")).statusCode, 200);
+    assert.equal((await get("/graph/creators")).statusCode, 200);
+  });
+});
+
+describe("/flush", () => {
+  it("flushes with the secret only", async () => {
+    const denied = await server.inject({ method: "POST", url: "/flush" });
+    assert.equal(denied.statusCode, 401);
+
+    const res = await server.inject({
+      method: "POST",
+      url: "/flush",
+      headers: { authorization: "Bearer secret" },
+    });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.json(), { status: "Cache flushed" });
+  });
+});
+
+describe("sites", () => {
+  it("serves a site under its prefix and for its hosts", async () => {
+    assert.deepEqual(Object.keys((await get("/archive/ids")).json()), [
+      "1010",
+      "2101",
+    ]);
+    const byHost = await get("/ids", { host: "archive.test" });
+    assert.deepEqual(Object.keys(byHost.json()), ["1010", "2101"]);
+    assert.equal(Object.keys((await get("/ids")).json()).length, 13);
+  });
+
+  it("answers 404 for unknown sites", async () => {
+    const res = await get("/nowhere/ids");
+    assert.equal(res.statusCode, 404);
+    assert.equal(res.json().message, "Site not found");
+  });
+
+  it("links to the site and allows its origins only", async () => {
+    const robots = await get("/archive/robots.txt");
+    assert.match(
+      robots.body,
+      /Sitemap: http:\/\/api\.test\/archive\/sitemap\.xml/,
+    );
+
+    const headers = { origin: "https://archive.test" };
+    const allowed = await get("/archive/filters", headers);
+    assert.equal(
+      allowed.headers["access-control-allow-origin"],
+      "https://archive.test",
+    );
+    const denied = await get("/filters", headers);
+    assert.equal(denied.headers["access-control-allow-origin"], undefined);
+  });
+
+  it("searches every site in its own index", async () => {
+    // api.js reads the env set by setup.js
+    const { getSearchIndex } = await import("../api.js");
+    const { runInSite, sites } = await import("../sites.js");
+    await runInSite(sites.archive, () => getSearchIndex(true));
+    const water = (await get("/archive/query/1010?search=water")).json();
+    assert.deepEqual(ids(water.items), [2101]);
+
+    // retitled by the /hooks/omeka tests
+    const { items } = (await get("/query/1011?search=protection")).json();
+    assert.deepEqual(ids(items), [2103]);
+  });
+
+  it("flushes the cache of one site with its own secret", async () => {
+    await get("/ids");
+    const requests = omeka.requests.length;
+
+    const flush = (authorization) =>
+      server.inject({
+        method: "POST",
+        url: "/archive/flush",
+        headers: { authorization },
+      });
+    assert.equal((await flush("Bearer secret")).statusCode, 401);
+    assert.equal((await flush("Bearer archive-secret")).statusCode, 200);
+
+    await get("/ids");
+    assert.equal(omeka.requests.length, requests);
+  });
+});
+
+describe("/openapi.json", () => {
+  it("documents every route", async () => {
+    const { paths } = (await get("/openapi.json")).json();
+    assert.ok(paths["/query/{id}"].get.parameters.length > 0);
+    assert.ok(paths["/feeds/{name}.{format}"]);
+    assert.ok(!Object.keys(paths).some((path) => path.startsWith("/{site}")));
+    assert.equal((await get("/docs")).statusCode, 200);
+  });
+});
+
+describe("omeka failures", () => {
+  it("answers 502 when omeka fails", async () => {
+    omeka.failWith(500);
+    try {
+      const res = await get("/item/1040");
+      assert.equal(res.statusCode, 502);
+      assert.equal(res.json().error, "Bad Gateway");
+    } finally {
+      omeka.failWith(null);
+    }
+  });
+
+  it("answers webhooks with the error of omeka", async () => {
+    omeka.failWith(500);
+    try {
+      const res = await server.inject({
+        method: "POST",
+        url: "/hooks/omeka",
+        headers: { authorization: "Bearer secret" },
+        payload: { resource: "items", event: "update", id: 2101 },
+      });
+      assert.equal(res.statusCode, 502);
+      assert.equal(res.json().error, "Bad Gateway");
+    } finally {
+      omeka.failWith(null);
+    }
+  });
+});
+
+describe("sync", () => {
+  it("patches items saved in the second of the watermark", async () => {
+    const { sync } = await import("../sync.js");
+    const { getAllItems } = await import("../api.js");
+    const { getCache } = await import("../cache.js");
+    await sync();
+
+    const latest = omeka.db.items
+      .map((item) => item["o:modified"]["@value"])
+      .toSorted()
+      .at(-1);
+    const item = omeka.db.items.find((item) => item["o:id"] === 2101);
+    const { "dcterms:title": title, "o:modified": modified } = item;
+    const query = "/query/1010?sort=title&year=1995&lang=en";
+    await get(query);
+    item["dcterms:title"] = [{ "@value": "Clean rivers" }];
+    item["o:modified"] = { "@value": latest };
+    try {
+      await sync();
+      const synced = (await getAllItems()).find(
+        (item) => item["o:id"] === 2101,
+      );
+      assert.deepEqual(synced["dcterms:title"], item["dcterms:title"]);
+      // not only the default query is dropped
+      const { items } = (await get(query)).json();
+      assert.equal(items[0].title, "Clean rivers");
+
+      // the items patched already are left alone
+      await get("/item/2101/related");
+      await sync();
+      assert.notEqual(await getCache("related"), null);
+    } finally {
+      Object.assign(item, {
+        "dcterms:title": title,
+        "o:modified": modified,
+      });
+    }
+  });
+});
@@ -0,0 +1,66 @@
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { startOmeka } from "./omeka.js";
+
+// SETUP
+// starts the fake omeka and points the api to it before env.js is read,
+// the in-memory cache backend stands in for redis, types.yaml adds places.
+// A second site "archive" has its own fake omeka with two of the items
+
+export const omeka = await startOmeka();
+export const archive = await startOmeka();
+archive.db.items = archive.db.items.filter((item) =>
+  [1010, 2101].includes(item["o:id"]),
+);
+
+// the sites config needs the port of the second omeka
+const dir = mkdtempSync(join(tmpdir(), "sites-"));
+writeFileSync(
+  join(dir, "sites.json"),
+  JSON.stringify({
+    cua: {},
+    archive: {
+      hosts: ["archive.test"],
+      OMEKA_API: archive.url,
+      ORIGIN: "https://archive.test",
+      API_URL: "http://api.test/archive",
+      WEBHOOK_SECRET: "archive-secret",
+    },
+  }),
+);
+
+Object.assign(process.env, {
+  OMEKA_API: omeka.url,
+  OMEKA_RETRIES: "0",
+  CACHE_BACKEND: "memory",
+  API_URL: "http://api.test",
+  WEBHOOK_SECRET: "secret",
+  FEATURED_ITEM_SET: "1",
+  HEROES_ITEM_SET: "2",
+  NEWSLETTER_TYPE_ID: "1021",
+  SITEMAP_LANGUAGES: "en,zh",
+  SITEMAP_ITEM_URL: "https://example.org/{lang}/item/{id}",
+  SITEMAP_PAGE_URL: "https://example.org/{lang}/page/{slug}",
+  TYPES_CONFIG: fileURLToPath(
+    new URL("./fixtures/types.yaml", import.meta.url),
+  ),
+  SITES_CONFIG: join(dir, "sites.json"),
+});
+
+const { server } = await import("../index.js");
+rmSync(dir, { recursive: true });
+const { flushCache } = await import("../cache.js");
+
+export { server, flushCache };
+
+/**
+ * Inject a GET request.
+ * @param {string} url
+ * @param {Object} [headers]
+ */
+
+export async function get(url, headers = {}) {
+  return await server.inject({ method: "GET", url, headers });
+}
@@ -0,0 +1,26 @@
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import { describe, it } from "node:test";
+import { loadSites } from "../sites.js";
+
+const fixture = (name) =>
+  fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+describe("loadSites", () => {
+  it("fills in the env settings and origins", () => {
+    const { cua, archive } = loadSites(fixture("sites.yaml"));
+
+    assert.deepEqual(cua.hosts, ["api.example.org"]);
+    assert.equal(cua.OMEKA_SITE, "cua");
+    assert.equal(archive.OMEKA_API, "https://archive.example.org/api");
+    assert.equal(archive.FEATURED_ITEM_SET, "12");
+    assert.ok(archive.origins[0].test("https://archive.example.org"));
+  });
+
+  it("rejects unknown settings", () => {
+    assert.throws(
+      () => loadSites(fixture("sites-invalid.yaml")),
+      /Site archive in .* has an unknown setting PAGE_LIMIT/,
+    );
+  });
+});
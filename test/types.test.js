@@ -0,0 +1,86 @@
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { describe, it } from "node:test";
+import { loadTypes } from "../types.js";
+
+const fixture = (name) =>
+  fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+describe("loadTypes", () => {
+  it("reads JSON and YAML with defaults", () => {
+    const types = loadTypes(fixture("types.yaml"));
+
+    assert.deepEqual(types.place, {
+      term: "dcterms:Location",
+      property: "dcterms:spatial",
+      facet: true,
+      sortable: true,
+      label: { en: "Place", zh: "地点" },
+    });
+    assert.deepEqual(types.year, {
+      property: "dcterms:date",
+      searchType: "sw",
+      facet: true,
+      sortable: false,
+      label: { en: "Year", zh: "年份" },
+      cutAt: "-",
+    });
+    assert.deepEqual(Object.keys(loadTypes("types.json")), [
+      "creator",
+      "objectType",
+      "theme",
+      "era",
+      "year",
+    ]);
+  });
+
+  it("rejects entries without a property", () => {
+    assert.throws(
+      () => loadTypes(fixture("types-invalid.yaml")),
+      /Type place in .* needs a property/,
+    );
+  });
+});
+
+describe("types config without the built-in types", () => {
+  // types.js reads TYPES_CONFIG once, so the modules are loaded in a child process,
+  // printing their result as last line
+  const run = (script) =>
+    JSON.parse(
+      execFileSync(process.execPath, ["--input-type=module", "-e", script], {
+        cwd: fileURLToPath(new URL("..", import.meta.url)),
+        env: { ...process.env, TYPES_CONFIG: fixture("types-minimal.yaml") },
+        encoding: "utf8",
+        timeout: 10000,
+      })
+        .trim()
+        .split("\n")
+        .at(-1),
+    );
+  const items = readFileSync(fixture("items.json"), "utf8");
+
+  it("relates items, builds graphs and lists sets by the types it has", () => {
+    const result = run(`
+      import { buildRelatedIndex } from "./utils/related.js";
+      import { GRAPH_LINKS, buildCreatorGraph } from "./utils/graph.js";
+      import { oaiResponse } from "./utils/oai.js";
+      const allItems = ${items};
+      const ids = Object.fromEntries(allItems.map((item) => [item["o:id"], "2024-01-01"]));
+      const sets = oaiResponse({ verb: "ListSets" }, { allItems, ids, filters: {} });
+      console.log(JSON.stringify({
+        related: Object.keys(buildRelatedIndex(allItems).linked).length,
+        links: GRAPH_LINKS,
+        nodes: buildCreatorGraph(allItems, [], {}).nodes.length,
+        sets: sets.includes("<setSpec>"),
+      }));
+    `);
+    assert.deepEqual(result, {
+      related: 11,
+      links: ["place"],
+      nodes: 0,
+      sets: false,
+    });
+  });
+});
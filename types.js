@@ -1,30 +1,101 @@
+import { readConfig } from "./utils/helper.js";
+import { TYPES_CONFIG } from "./env.js";
+
+// TYPES
+// the linked types and filters are read from TYPES_CONFIG (JSON or YAML), keyed by name:
+// { term?, property, searchType?, facet?, sortable?, label?, cutAt? }, see types.json
+
+const SEARCH_TYPES = ["res", "sw"];
+
 /**
- * Mapping of domain keys to their RDF term and raw item property.
- * @type {Object.<string, {term:string, property:string}>}
+ * Read and check the types config.
+ * Entries with a term are linked types (searchType res), the others literal filters
+ * (searchType sw by default). facet defaults to true, sortable to false. label is a
+ * string or an object keyed by language, cutAt cuts literal facet values at its first
+ * occurrence (the year of dates).
+ * @param {string} path - .json, .yaml or .yml, see readConfig
+ * @returns {Object.<string, {term?:string, property:string, searchType?:string, facet:boolean, sortable:boolean, label?:string|Object, cutAt?:string}>}
  */
-export const types = {
-  creator: {
-    term: "foaf:Person",
-    property: "dcterms:creator",
-  },
-  objectType: {
-    term: "skos:Concept",
-    property: "curation:category",
-  },
-  theme: {
-    term: "dctype:Collection",
-    property: "curation:theme",
-  },
-  era: { term: "dctype:Event", property: "dcterms:coverage" },
-};
+
+export function loadTypes(path) {
+  const config = readConfig(path);
+
+  return Object.fromEntries(
+    Object.entries(config ?? {}).map(([name, entry]) => {
+      const {
+        term,
+        property,
+        searchType,
+        facet = true,
+        sortable = false,
+        label,
+        cutAt,
+      } = entry ?? {};
+
+      if (typeof property !== "string") {
+        throw new Error(`Type ${name} in ${path} needs a property`);
+      }
+      if (name === "search" || name === "object") {
+        throw new Error(`Type ${name} in ${path} is reserved`);
+      }
+      if (searchType != null && !SEARCH_TYPES.includes(searchType)) {
+        throw new Error(
+          `Type ${name} in ${path} has an unknown searchType ${searchType}`,
+        );
+      }
+      if (cutAt != null && (typeof cutAt !== "string" || cutAt === "")) {
+        throw new Error(`Type ${name} in ${path} needs a string to cut at`);
+      }
+
+      return [
+        name,
+        {
+          ...(term != null && { term }),
+          property,
+          ...((searchType ?? (term == null ? "sw" : "res")) === "sw" && {
+            searchType: "sw",
+          }),
+          facet: Boolean(facet),
+          sortable: Boolean(sortable),
+          ...(label != null && { label }),
+          ...(cutAt != null && { cutAt }),
+        },
+      ];
+    }),
+  );
+}
+
+const config = loadTypes(TYPES_CONFIG);
+
+/**
+ * Mapping of domain keys to their RDF term and raw item property, the entries of
+ * the config with a term.
+ * @type {Object.<string, {term:string, property:string, facet:boolean, sortable:boolean}>}
+ */
+export const types = Object.fromEntries(
+  Object.entries(config).filter(([, { term }]) => term != null),
+);
 
 /**
- * Filter configuration used to build query strings. Extends `types`.
- * year includes a searchType override.
+ * Linked types describing what items are about (themes, eras, places, …), all but the
+ * creators and object types of items.
+ * @type {string[]}
+ */
+export const subjectTypes = Object.keys(types).filter(
+  (key) => key !== "creator" && key !== "objectType",
+);
+
+/**
+ * Filter configuration used to build query strings. All entries of the config,
+ * searchType sw for literal values (like years), and the full-text search.
  */
 
 export const filterConfig = {
-  ...types,
-  year: { property: "dcterms:date", searchType: "sw" },
-  search: { property: "0", searchType: "in" },
+  ...config,
+  search: { property: "0", searchType: "in", facet: false, sortable: false },
 };
+
+/** Filters counted in /filters and in the filters of /query */
+export const facets = Object.keys(filterConfig).filter(
+  (key) => filterConfig[key].facet,
+);
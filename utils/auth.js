@@ -0,0 +1,38 @@
+import { createHmac, timingSafeEqual } from "node:crypto";
+import { currentSite } from "../sites.js";
+
+/**
+ * Check a request against the shared secret, either
+ * - as bearer token: "Authorization: Bearer <secret>"
+ * - or as HMAC-SHA256 of the raw body: "X-Signature: sha256=<hex digest>"
+ * Always fails when no secret is configured.
+ * @param {Object} headers
+ * @param {string} [rawBody=""]
+ * @param {string} [secret] - the WEBHOOK_SECRET of the current site by default
+ * @returns {boolean}
+ */
+
+export function isAuthorized(
+  headers,
+  rawBody = "",
+  secret = currentSite().WEBHOOK_SECRET,
+) {
+  if (!secret) return false;
+
+  const token = headers.authorization?.match(/^Bearer\s+(.+)$/i)?.[1];
+  if (token != null) return safeEqual(token, secret);
+
+  const signature = headers["x-signature"]?.replace(/^sha256=/, "");
+  if (signature != null) {
+    const digest = createHmac("sha256", secret).update(rawBody).digest("hex");
+    return safeEqual(signature, digest);
+  }
+
+  return false;
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+}
@@ -0,0 +1,76 @@
+import * as OpenCC from "opencc-js/t2cn";
+import { pinyin } from "pinyin-pro";
+
+const toSimplified = OpenCC.Converter({ from: "t", to: "cn" });
+const simplifiedChars = new Map();
+
+/**
+ * Fold Traditional Chinese characters to Simplified, character by character.
+ * Characters whose Simplified form has a different UTF-16 length are kept, so
+ * string indices of the folded text still point into the original text.
+ * @param {string} text
+ * @returns {string}
+ */
+
+export function foldChinese(text) {
+  if (typeof text !== "string" || !/\p{Script=Han}/u.test(text)) return text;
+
+  return text.replace(/\p{Script=Han}/gu, (char) => {
+    if (!simplifiedChars.has(char)) {
+      const simplified = toSimplified(char);
+      simplifiedChars.set(
+        char,
+        simplified.length === char.length ? simplified : char,
+      );
+    }
+    return simplifiedChars.get(char);
+  });
+}
+
+/**
+ * Returns the toneless pinyin syllables for every han run in a text.
+ * Non-Chinese characters are dropped.
+ * @param {string} text
+ * @returns {[[string]]} one array of syllables per han run
+ */
+
+export function toPinyin(text) {
+  if (typeof text !== "string") return [];
+
+  return (text.match(/\p{Script=Han}+/gu) ?? []).map((run) =>
+    pinyin(foldChinese(run), { toneType: "none", type: "array" }).map(
+      normalizePinyin,
+    ),
+  );
+}
+
+/**
+ * Normalize a pinyin string typed by a user or produced by toPinyin:
+ * lowercase, without tone marks or numbers, apostrophes, spaces or hyphens.
+ * "ü" and "v" are folded to "u".
+ * Example: "Dàng'àn", "dang4 an4" and "dangan" all become "dangan"
+ * @param {string} str
+ * @returns {string}
+ */
+
+export function normalizePinyin(str) {
+  return `${str ?? ""}`
+    .normalize("NFD")
+    .toLowerCase()
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/v/g, "u")
+    .replace(/[^a-z]/g, "");
+}
+
+/**
+ * Whether a search term could be pinyin (latin letters, tone marks or numbers, apostrophes and spaces only).
+ * @param {string} str
+ * @returns {boolean}
+ */
+
+export function isPinyin(str) {
+  return (
+    /^[\p{Script=Latin}\p{M}0-5'’\s-]+$/u.test(str ?? "") &&
+    normalizePinyin(str).length > 0
+  );
+}
@@ -0,0 +1,78 @@
+/**
+ * Parse a (partial) ISO date, its precision is the most precise part given.
+ * Example: "1995-03" becomes { year: 1995, month: 3, precision: "month" }
+ * @param {string} value
+ * @returns {{year:number, month?:number, day?:number, precision:"year"|"month"|"day"}|null}
+ */
+
+export function parseDate(value) {
+  const [, year, month, day] =
+    `${value ?? ""}`
+      .trim()
+      .match(/^(-?[0-9]{1,4})(?:-([0-9]{2})(?:-([0-9]{2}))?)?/) ?? [];
+  if (year == null) return null;
+
+  return {
+    year: +year,
+    ...(month && { month: +month }),
+    ...(day && { day: +day }),
+    precision: day ? "day" : month ? "month" : "year",
+  };
+}
+
+/**
+ * First and last day covered by a (partial) ISO date as sortable numbers (yyyymmdd).
+ * Example: "1998" becomes [19980101, 19981231], "1998-02" [19980201, 19980228]
+ * @param {string} value
+ * @returns {[number, number]|null}
+ */
+
+export function dateRange(value) {
+  const date = parseDate(value);
+  if (date == null) return null;
+
+  const { year, month, day } = date;
+  const lastDay = new Date(Date.UTC(year, month ?? 12, 0)).getUTCDate();
+
+  return [
+    toNumber(year, month ?? 1, day ?? 1),
+    toNumber(year, month ?? 12, day ?? lastDay),
+  ];
+}
+
+/**
+ * Days covered by the dcterms:date values of a raw item, intervals "1978/1992" included.
+ * @param {Object} item - raw item from API
+ * @returns {[number, number]|null} null for undated items
+ */
+
+export function itemDateRange(item) {
+  const ranges = (item["dcterms:date"] ?? [])
+    .flatMap(({ "@value": value }) => `${value ?? ""}`.split("/"))
+    .map(dateRange)
+    .filter(Boolean);
+  if (ranges.length === 0) return null;
+
+  return [
+    Math.min(...ranges.map(([start]) => start)),
+    Math.max(...ranges.map(([, end]) => end)),
+  ];
+}
+
+/**
+ * Format a day of dateRange as ISO date.
+ * @param {number} day - yyyymmdd
+ * @returns {string}
+ */
+
+export function formatDay(day) {
+  const year = Math.floor(day / 10000);
+  const rest = day - year * 10000;
+  const pad = (n) => `${n}`.padStart(2, "0");
+
+  return `${year < 0 ? year : `${year}`.padStart(4, "0")}-${pad(Math.floor(rest / 100))}-${pad(rest % 100)}`;
+}
+
+function toNumber(year, month, day) {
+  return year * 10000 + month * 100 + day;
+}
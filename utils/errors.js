@@ -0,0 +1,26 @@
+import { STATUS_CODES } from "node:http";
+
+/**
+ * Error as returned by the api functions (`{ error }`) and sent to clients,
+ * a plain object so that it can be cached.
+ * @param {number} statusCode
+ * @param {string} [message]
+ * @returns {{statusCode:number, error:string, message:string}}
+ */
+
+export function apiError(statusCode, message = STATUS_CODES[statusCode]) {
+  return { statusCode, error: STATUS_CODES[statusCode], message };
+}
+
+/**
+ * Send an error with its status code and a JSON body.
+ * @param {import("fastify").FastifyReply} reply
+ * @param {{statusCode?:number, message?:string}} error
+ */
+
+export function sendError(reply, error) {
+  const statusCode = error.statusCode ?? 500;
+  return reply
+    .code(statusCode)
+    .send(apiError(statusCode, error.message ?? STATUS_CODES[statusCode]));
+}
@@ -0,0 +1,259 @@
+import he from "he";
+import { subjectTypes, types } from "../types.js";
+import { parseDate } from "./dates.js";
+import { zipFiles } from "./zip.js";
+
+export const EXPORT_FORMATS = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  bibtex: "application/x-bibtex; charset=utf-8",
+  ris: "application/x-research-info-systems; charset=utf-8",
+  csljson: "application/vnd.citationstyles.csl+json; charset=utf-8",
+};
+
+export const EXPORT_EXTENSIONS = {
+  csv: "csv",
+  xlsx: "xlsx",
+  bibtex: "bib",
+  ris: "ris",
+  csljson: "json",
+};
+
+/** Columns of the CSV and XLSX exports, linked types as their titles */
+export const EXPORT_COLUMNS = [
+  "id",
+  "title",
+  "titleAlt",
+  "published",
+  "number",
+  "description",
+  ...Object.keys(types),
+  "url",
+  "thumbnail",
+];
+
+// rows deflated together in xlsx exports
+const XLSX_BATCH = 200;
+
+/**
+ * Render items in one of EXPORT_FORMATS chunk by chunk, so that the items can be
+ * normalized while the export is sent.
+ * Expects already localized items (see normalizeOmekaFields) with their url.
+ * @param {"csv"|"xlsx"|"bibtex"|"ris"|"csljson"} format
+ * @param {Iterable<Object>} items
+ * @param {{lang:string, siteName:string}} options
+ * @returns {Generator<string|Buffer>}
+ */
+
+export function renderExport(format, items, options) {
+  if (format === "xlsx") return renderXlsx(items);
+  if (format === "bibtex") return renderEach(items, renderBibtex);
+  if (format === "ris") return renderEach(items, renderRis, options);
+  if (format === "csljson") return renderCslJson(items, options);
+  return renderCsv(items);
+}
+
+function* renderEach(items, render, options) {
+  for (const item of items) yield render(item, options);
+}
+
+// CSV
+// RFC 4180 with a BOM for spreadsheets to detect UTF-8, text starting like a
+// formula is prefixed with ' so that it is not evaluated
+function* renderCsv(items) {
+  yield `\ufeff${EXPORT_COLUMNS.join(",")}\r\n`;
+  for (const item of items) {
+    yield `${EXPORT_COLUMNS.map((column) => csvField(cell(item, column))).join(",")}\r\n`;
+  }
+}
+
+function csvField(value) {
+  if (value == null) return "";
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(value)) {
+    value = `'${value}`;
+  }
+  const text = `${value}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// XLSX
+// a single sheet of inline strings, the smallest workbook spreadsheets open
+function renderXlsx(items) {
+  return zipFiles([
+    { name: "[Content_Types].xml", chunks: [xlsxContentTypes] },
+    { name: "_rels/.rels", chunks: [xlsxRels] },
+    { name: "xl/workbook.xml", chunks: [xlsxWorkbook] },
+    { name: "xl/_rels/workbook.xml.rels", chunks: [xlsxWorkbookRels] },
+    { name: "xl/worksheets/sheet1.xml", chunks: xlsxSheet(items) },
+  ]);
+}
+
+function* xlsxSheet(items) {
+  yield `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${xlsxRow(EXPORT_COLUMNS)}`;
+
+  let rows = [];
+  for (const item of items) {
+    rows.push(xlsxRow(EXPORT_COLUMNS.map((column) => cell(item, column))));
+    if (rows.length >= XLSX_BATCH) {
+      yield rows.join("");
+      rows = [];
+    }
+  }
+
+  yield `${rows.join("")}</sheetData></worksheet>`;
+}
+
+function xlsxRow(values) {
+  const cells = values.map((value) =>
+    value == null
+      ? "<c/>"
+      : typeof value === "number"
+        ? `<c><v>${value}</v></c>`
+        : `<c t="inlineStr"><is><t xml:space="preserve">${xmlText(value)}</t></is></c>`,
+  );
+  return `<row>${cells.join("")}</row>`;
+}
+
+const xlsxContentTypes = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>`;
+
+const xlsxRels = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`;
+
+const xlsxWorkbook = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Items" sheetId="1" r:id="rId1"/></sheets></workbook>`;
+
+const xlsxWorkbookRels = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`;
+
+// BIBTEX
+function renderBibtex(item) {
+  const fields = {
+    title: bibtexText(text(item.title)),
+    author: linkedTitles(item.creator)
+      ?.map((name) => `{${bibtexText(name)}}`)
+      .join(" and "),
+    year: parseDate(text(item.published))?.year,
+    date: text(item.published),
+    type: bibtexText(linkedTitles(item.objectType)?.join(", ")),
+    keywords: bibtexText(keywords(item)?.join(", ")),
+    number: bibtexText(text(item.number)),
+    abstract: bibtexText(text(item.description)),
+    url: item.url,
+  };
+
+  const lines = Object.entries(fields)
+    .filter(([, value]) => value != null && value !== "")
+    .map(([key, value]) => `  ${key} = {${value}}`);
+  return `@misc{item${item.id},\n${lines.join(",\n")}\n}\n\n`;
+}
+
+function bibtexText(value) {
+  return value?.replace(/[\\{}%&$#_^~]/g, (char) =>
+    char === "\\"
+      ? "\\textbackslash{}"
+      : char === "^" || char === "~"
+        ? `\\${char}{}`
+        : `\\${char}`,
+  );
+}
+
+// RIS
+function renderRis(item, { siteName }) {
+  const date = parseDate(text(item.published));
+  const fields = [
+    ["TY", "GEN"],
+    ["ID", `${item.id}`],
+    ["TI", text(item.title)],
+    ["T2", text(item.titleAlt)],
+    ...(linkedTitles(item.creator) ?? []).map((name) => ["AU", name]),
+    ["PY", date?.year],
+    [
+      "DA",
+      date &&
+        [date.year, date.month, date.day]
+          .map((part) => (part == null ? "" : `${part}`.padStart(2, "0")))
+          .join("/") + "/",
+    ],
+    ["M3", linkedTitles(item.objectType)?.join(", ")],
+    ...(keywords(item) ?? []).map((keyword) => ["KW", keyword]),
+    ["AB", text(item.description)],
+    ["AN", text(item.number)],
+    ["DB", siteName],
+    ["UR", item.url],
+  ];
+
+  const lines = fields
+    .filter(([, value]) => value != null && value !== "")
+    .map(
+      ([tag, value]) =>
+        `${tag}  - ${`${value}`.replace(/\s*[\r\n]+\s*/g, " ")}`,
+    );
+  return `${lines.join("\r\n")}\r\nER  - \r\n\r\n`;
+}
+
+// CSL-JSON
+function* renderCslJson(items, { lang, siteName }) {
+  let separator = "[\n";
+  for (const item of items) {
+    yield separator + JSON.stringify(cslItem(item, { lang, siteName }));
+    separator = ",\n";
+  }
+  yield separator === "[\n" ? "[]\n" : "\n]\n";
+}
+
+function cslItem(item, { lang, siteName }) {
+  const date = parseDate(text(item.published));
+  return Object.fromEntries(
+    Object.entries({
+      id: `item${item.id}`,
+      type: "document",
+      title: text(item.title),
+      "title-short": text(item.titleAlt),
+      author: linkedTitles(item.creator)?.map((name) => ({ literal: name })),
+      issued: date && {
+        "date-parts": [[date.year, date.month, date.day].filter(Boolean)],
+      },
+      genre: linkedTitles(item.objectType)?.join(", "),
+      keyword: keywords(item)?.join(", "),
+      abstract: text(item.description),
+      number: text(item.number),
+      archive: siteName,
+      URL: item.url,
+      language: lang,
+    }).filter(([, value]) => value != null && value !== ""),
+  );
+}
+
+// value of a column, linked resources as their titles
+function cell(item, column) {
+  if (types[column] != null) return linkedTitles(item[column])?.join("; ");
+  const value = item[column];
+  return typeof value === "number" ? value : text(value);
+}
+
+function linkedTitles(linked) {
+  return linked?.map(({ title }) => text(title)).filter(Boolean);
+}
+
+function keywords(item) {
+  const keywords = subjectTypes.flatMap(
+    (type) => linkedTitles(item[type]) ?? [],
+  );
+  return keywords.length > 0 ? keywords : undefined;
+}
+
+// values without a language (several dates, …) are joined
+function text(value) {
+  if (value == null || value === "") return;
+  if (typeof value === "object") return Object.values(value).join("; ");
+  return `${value}`;
+}
+
+function xmlText(value) {
+  // control characters are not allowed in xml
+  return he.escape(
+    value.replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, ""),
+  );
+}
@@ -0,0 +1,105 @@
+import he from "he";
+
+export const FEED_FORMATS = {
+  rss: "application/rss+xml; charset=utf-8",
+  atom: "application/atom+xml; charset=utf-8",
+  json: "application/feed+json; charset=utf-8",
+};
+
+/**
+ * Render a feed in one of FEED_FORMATS.
+ * Expects already localized strings.
+ * @param {"rss"|"atom"|"json"} format
+ * @param {{id:string, title:string, link:string, lang:string, updated:string,
+ *   items:{id:string, url:string, title:string, summary?:string, created:string, modified:string,
+ *   image?:string, authors?:string[]}[]}} feed
+ * @returns {string}
+ */
+
+export function renderFeed(format, feed) {
+  if (format === "atom") return renderAtom(feed);
+  if (format === "json") return renderJsonFeed(feed);
+  return renderRss(feed);
+}
+
+function renderRss({ id, title, link, lang, updated, items }) {
+  const entries = items.map(
+    (item) => `<item>
+<guid isPermaLink="false">${escape(item.id)}</guid>
+<title>${escape(item.title)}</title>
+<link>${escape(item.url)}</link>
+${item.summary ? `<description>${escape(item.summary)}</description>` : ""}
+${(item.authors ?? []).map((author) => `<dc:creator>${escape(author)}</dc:creator>`).join("")}
+<pubDate>${new Date(item.created).toUTCString()}</pubDate>
+${item.image ? `<enclosure url="${escape(item.image)}" length="0" type="image/jpeg"/>` : ""}
+</item>`,
+  );
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+<channel>
+<title>${escape(title)}</title>
+<link>${escape(link)}</link>
+<description>${escape(title)}</description>
+<language>${escape(lang)}</language>
+<lastBuildDate>${new Date(updated).toUTCString()}</lastBuildDate>
+<atom:link href="${escape(id)}" rel="self" type="application/rss+xml"/>
+${entries.join("\n")}
+</channel>
+</rss>`;
+}
+
+function renderAtom({ id, title, link, lang, updated, items }) {
+  const entries = items.map(
+    (item) => `<entry>
+<id>${escape(item.id)}</id>
+<title>${escape(item.title)}</title>
+<link href="${escape(item.url)}"/>
+${item.summary ? `<summary>${escape(item.summary)}</summary>` : ""}
+${(item.authors ?? []).map((author) => `<author><name>${escape(author)}</name></author>`).join("")}
+<published>${isoDate(item.created)}</published>
+<updated>${isoDate(item.modified ?? item.created)}</updated>
+${item.image ? `<link rel="enclosure" href="${escape(item.image)}" type="image/jpeg"/>` : ""}
+</entry>`,
+  );
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escape(lang)}">
+<id>${escape(id)}</id>
+<title>${escape(title)}</title>
+<link rel="self" href="${escape(id)}"/>
+<link rel="alternate" href="${escape(link)}"/>
+<author><name>${escape(title)}</name></author>
+<updated>${isoDate(updated)}</updated>
+${entries.join("\n")}
+</feed>`;
+}
+
+function renderJsonFeed({ id, title, link, lang, items }) {
+  return JSON.stringify({
+    version: "https://jsonfeed.org/version/1.1",
+    title,
+    home_page_url: link,
+    feed_url: id,
+    language: lang,
+    items: items.map((item) => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      summary: item.summary,
+      image: item.image,
+      date_published: isoDate(item.created),
+      date_modified: isoDate(item.modified ?? item.created),
+      authors: item.authors?.map((name) => ({ name })),
+      attachments: item.image && [{ url: item.image, mime_type: "image/jpeg" }],
+    })),
+  });
+}
+
+function isoDate(date) {
+  return new Date(date).toISOString();
+}
+
+function escape(value) {
+  return he.escape(`${value ?? ""}`);
+}
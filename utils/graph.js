@@ -0,0 +1,206 @@
+import he from "he";
+import { subjectTypes, types } from "../types.js";
+import { localizeObject } from "./helper.js";
+
+export const GRAPH_FORMATS = {
+  json: "application/json; charset=utf-8",
+  gexf: "application/gexf+xml; charset=utf-8",
+  graphml: "application/graphml+xml; charset=utf-8",
+};
+
+// linked types that can be added to the creator graph as bipartite nodes
+export const GRAPH_LINKS = subjectTypes;
+
+/**
+ * Build the collaboration network of all creators: an edge per pair of creators
+ * weighted by the number of items they share, and an edge from every creator to
+ * each linked resource of GRAPH_LINKS (themes, eras, …) of their items weighted the same way.
+ * @param {Object[]} allItems - raw items
+ * @param {{id:number, title:*}[]} creators - see getCreators
+ * @param {Object} filters - see getFilters, for the titles of themes and eras
+ * @returns {{nodes:{id:number, type:string, title:*, count:number}[],
+ *   edges:{source:number, target:number, type:string, weight:number}[]}}
+ */
+
+export function buildCreatorGraph(allItems, creators, filters) {
+  const counts = new Map();
+  const weights = new Map();
+  const addEdge = (type, source, target) => {
+    const key = `${type}:${source}:${target}`;
+    weights.set(key, (weights.get(key) ?? 0) + 1);
+  };
+
+  for (const item of allItems) {
+    const creatorIds = linkedIds(item, "creator");
+    creatorIds.forEach((id) => counts.set(id, (counts.get(id) ?? 0) + 1));
+
+    creatorIds.forEach((source, i) =>
+      creatorIds.slice(i + 1).forEach((target) => {
+        addEdge("creator", source, target);
+      }),
+    );
+
+    GRAPH_LINKS.forEach((type) =>
+      linkedIds(item, type).forEach((target) =>
+        creatorIds.forEach((source) => addEdge(type, source, target)),
+      ),
+    );
+  }
+
+  const nodes = [
+    ...creators.map(({ id, title }) => ({
+      id,
+      type: "creator",
+      title,
+      count: counts.get(id) ?? 0,
+    })),
+    ...GRAPH_LINKS.flatMap((type) =>
+      (filters[type] ?? []).map(({ id, title, count }) => ({
+        id,
+        type,
+        title,
+        count,
+      })),
+    ),
+  ];
+  const ids = new Set(nodes.map(({ id }) => id));
+
+  const edges = [...weights]
+    .map(([key, weight]) => {
+      const [type, source, target] = key.split(":");
+      return { source: +source, target: +target, type, weight };
+    })
+    .filter(({ source, target }) => ids.has(source) && ids.has(target));
+
+  return { nodes, edges };
+}
+
+/**
+ * Reduce the graph to the creators (and the requested linked types), optionally
+ * only the creators within depth co-creation steps of one creator.
+ * @param {{nodes:Object[], edges:Object[]}} graph - see buildCreatorGraph
+ * @param {{include?:string[], id?:number, depth?:number}} options
+ * @returns {{nodes:Object[], edges:Object[]}|null} null when id is no creator of the graph
+ */
+
+export function selectGraph(graph, { include = [], id, depth = 1 }) {
+  const types = ["creator", ...include];
+  let nodes = graph.nodes.filter(({ type }) => types.includes(type));
+  let edges = graph.edges.filter(({ type }) => types.includes(type));
+
+  if (id != null) {
+    if (!nodes.some((node) => node.id === id && node.type === "creator"))
+      return null;
+
+    const reached = new Set([id]);
+    let frontier = [id];
+    for (let step = 0; step < depth && frontier.length > 0; step++) {
+      frontier = edges
+        .filter(({ type }) => type === "creator")
+        .flatMap(({ source, target }) =>
+          frontier.includes(source)
+            ? [target]
+            : frontier.includes(target)
+              ? [source]
+              : [],
+        )
+        .filter((next) => !reached.has(next));
+      frontier.forEach((next) => reached.add(next));
+    }
+
+    edges = edges.filter(
+      ({ type, source, target }) =>
+        reached.has(source) && (type !== "creator" || reached.has(target)),
+    );
+    const linked = new Set(edges.map(({ target }) => target));
+    nodes = nodes.filter(({ id, type }) =>
+      type === "creator" ? reached.has(id) : linked.has(id),
+    );
+  }
+
+  return { nodes, edges };
+}
+
+/**
+ * Render a graph in one of GRAPH_FORMATS, titles localized to lang.
+ * @param {"json"|"gexf"|"graphml"} format
+ * @param {{nodes:Object[], edges:Object[]}} graph
+ * @param {string} lang
+ * @returns {Object|string}
+ */
+
+export function renderGraph(format, graph, lang) {
+  if (format === "gexf") return renderGexf(graph, lang);
+  if (format === "graphml") return renderGraphml(graph, lang);
+  return localizeObject(graph, lang);
+}
+
+function renderGexf({ nodes, edges }, lang) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gexf xmlns="http://gexf.net/1.3" version="1.3">
+<graph defaultedgetype="undirected">
+<attributes class="node">
+<attribute id="type" title="type" type="string"/>
+<attribute id="count" title="count" type="integer"/>
+</attributes>
+<attributes class="edge">
+<attribute id="type" title="type" type="string"/>
+</attributes>
+<nodes>
+${nodes
+  .map(
+    ({ id, type, title, count }) =>
+      `<node id="${id}" label="${escape(localizeObject(title, lang))}"><attvalues><attvalue for="type" value="${type}"/><attvalue for="count" value="${count}"/></attvalues></node>`,
+  )
+  .join("\n")}
+</nodes>
+<edges>
+${edges
+  .map(
+    ({ source, target, type, weight }, i) =>
+      `<edge id="${i}" source="${source}" target="${target}" weight="${weight}"><attvalues><attvalue for="type" value="${type}"/></attvalues></edge>`,
+  )
+  .join("\n")}
+</edges>
+</graph>
+</gexf>`;
+}
+
+function renderGraphml({ nodes, edges }, lang) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<graphml xmlns="http://graphml.graphdrawing.org/xmlns">
+<key id="label" for="node" attr.name="label" attr.type="string"/>
+<key id="type" for="all" attr.name="type" attr.type="string"/>
+<key id="count" for="node" attr.name="count" attr.type="int"/>
+<key id="weight" for="edge" attr.name="weight" attr.type="int"/>
+<graph edgedefault="undirected">
+${nodes
+  .map(
+    ({ id, type, title, count }) =>
+      `<node id="${id}"><data key="label">${escape(localizeObject(title, lang))}</data><data key="type">${type}</data><data key="count">${count}</data></node>`,
+  )
+  .join("\n")}
+${edges
+  .map(
+    ({ source, target, type, weight }) =>
+      `<edge source="${source}" target="${target}"><data key="type">${type}</data><data key="weight">${weight}</data></edge>`,
+  )
+  .join("\n")}
+</graph>
+</graphml>`;
+}
+
+function linkedIds(item, type) {
+  if (types[type] == null) return [];
+  return [
+    ...new Set(
+      (item[types[type].property] ?? [])
+        .map(({ value_resource_id: id }) => id)
+        .filter((id) => id != null),
+    ),
+  ].sort((a, b) => a - b);
+}
+
+function escape(value) {
+  return he.escape(`${value ?? ""}`);
+}
@@ -1,3 +1,9 @@
+import { readFileSync } from "node:fs";
+import { extname } from "node:path";
+import { fileURLToPath } from "node:url";
+import YAML from "yaml";
+import { LANGUAGE_FALLBACKS } from "../env.js";
+
 /**
  * Convert an origin string (comma-separated or slash-delimited regexes) into RegExp objects.
  * Example inputs: "https://a.example, /https:\\/\\/.*\\.example/"
@@ -12,28 +18,184 @@ export function parseOrigin(origin) {
     .filter(Boolean)
     .map((str) => new RegExp(str.replace(/^\//, "").replace(/\/$/, "")));
 }
+// languages of localized values, requests for others are rejected
+export const LANGUAGES = ["en", "zh"];
+
+// key and value tagging language maps, as in JSON-LD contexts
+const CONTAINER = "@container";
+const LANGUAGE = "@language";
+
+// "zh-Hant>zh>en,zh>en" → { "zh-hant": ["zh", "en"], zh: ["en"] }
+const fallbacks = Object.fromEntries(
+  LANGUAGE_FALLBACKS.split(",")
+    .map((chain) => chain.split(">").map((tag) => tag.trim()))
+    .filter(([tag]) => tag)
+    .map(([tag, ...chain]) => [tag.toLowerCase(), chain])
+);
+
+/**
+ * Map a requested language onto LANGUAGES by its primary subtag, unknown ones are kept
+ * for validation to reject.
+ * Example: "zh-Hant-TW" → "zh", "EN" → "en", "fr" → "fr"
+ * @param {string} [lang]
+ * @returns {string|undefined}
+ */
+
+export function normalizeLang(lang) {
+  if (typeof lang !== "string") return lang;
+  const primary = lang.trim().toLowerCase().split(/[-_]/)[0];
+  return LANGUAGES.includes(primary) ? primary : lang;
+}
+
+/**
+ * Canonical case of a BCP 47 language tag, null for malformed tags.
+ * Example: "zh-hant-tw" → "zh-Hant-TW", "en_GB" → "en-GB"
+ * @param {string} tag
+ * @returns {string|null}
+ */
+
+export function canonicalLang(tag) {
+  try {
+    return Intl.getCanonicalLocales(`${tag}`.trim().replace(/_/g, "-"))[0];
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Languages of an Accept-Language header within LANGUAGES, most preferred first.
+ * Example: "fr, zh-Hant;q=0.8, en;q=0.5" → ["zh-Hant", "en"]
+ * @param {string} [header]
+ * @returns {string[]}
+ */
+
+export function parseAcceptLanguage(header) {
+  return `${header ?? ""}`
+    .split(",")
+    .map((range, i) => {
+      const [tag, ...params] = range.split(";").map((part) => part.trim());
+      const q = params.find((param) => /^q=/i.test(param))?.slice(2);
+      return { tag: canonicalLang(tag), q: q == null ? 1 : +q, i };
+    })
+    .filter(({ tag, q }) => tag != null && q > 0)
+    .filter(({ tag }) => LANGUAGES.includes(normalizeLang(tag)))
+    .sort((a, b) => b.q - a.q || a.i - b.i)
+    .map(({ tag }) => tag);
+}
+
+/**
+ * Languages to look up in language maps, each requested one followed by the
+ * LANGUAGE_FALLBACKS of its most specific configured prefix.
+ * Example: "zh-Hant-TW" with "zh-Hant>zh>en" → ["zh-Hant-TW", "zh", "en"]
+ * @param {string|string[]} langs - most preferred first
+ * @returns {string[]}
+ */
+
+export function languageChain(langs) {
+  const chain = [langs].flat().flatMap((lang) => {
+    const subtags = `${lang}`.toLowerCase().split("-");
+    const prefix = subtags
+      .map((_, i) => subtags.slice(0, subtags.length - i).join("-"))
+      .find((prefix) => fallbacks[prefix] != null);
+    return [lang, ...(fallbacks[prefix] ?? [])];
+  });
+  return [...new Set(chain)];
+}
+
+/**
+ * Best language of a language map for a chain (see languageChain), by RFC 4647 lookup:
+ * each language and then its prefixes ("zh-Hant-TW", "zh-Hant", "zh"), else any
+ * more specific tag of it ("zh" finds "zh-Hans").
+ * @param {string[]} tags - languages of the map
+ * @param {string[]} chain
+ * @returns {string|undefined}
+ */
+
+export function lookupLanguage(tags, chain) {
+  const byLower = new Map(tags.map((tag) => [tag.toLowerCase(), tag]));
+
+  for (const lang of chain) {
+    const subtags = `${lang}`.toLowerCase().split("-");
+    for (let i = subtags.length; i > 0; i--) {
+      const prefix = subtags.slice(0, i).join("-");
+      if (byLower.has(prefix)) return byLower.get(prefix);
+    }
+    const specific = [...byLower.keys()].find((tag) =>
+      tag.startsWith(`${subtags.join("-")}-`)
+    );
+    if (specific != null) return byLower.get(specific);
+  }
+}
+
+/**
+ * Tag values by language as language map, the only objects localizeObject localizes.
+ * @param {Object.<string, *>|[string, *][]} values - by BCP 47 language tag
+ * @returns {Object}
+ */
+
+export function languageMap(values) {
+  return {
+    [CONTAINER]: LANGUAGE,
+    ...(Array.isArray(values) ? Object.fromEntries(values) : values),
+  };
+}
+
 /**
- * Recursively localize an object to a preferred language code.
- * - If obj is a language-keyed map (all keys length 2) return obj[lang] or a fallback.
- * - Otherwise traverse the object/array and localize nested values.
+ * @param {*} value
+ * @returns {boolean}
+ */
+
+export function isLanguageMap(value) {
+  return value?.[CONTAINER] === LANGUAGE;
+}
+
+/**
+ * Entries of a language map without its tag.
+ * @param {Object} map
+ * @returns {[string, *][]}
+ */
+
+export function languageEntries(map) {
+  return Object.entries(map).filter(([key]) => key !== CONTAINER);
+}
+
+/**
+ * Recursively localize an object.
+ * - Language maps (see languageMap) become their value in the best language of
+ *   the chain (see lookupLanguage), else their first value.
+ * - Without lang they lose their tag and keep all languages.
+ * - Other objects and arrays are traversed.
  * @param {*} obj
- * @param {string|null} lang
+ * @param {string|string[]|null} lang - a language or a chain, most preferred first
+ * @param {Set<string>} [served] - collects the languages of the values picked
  * @returns {*}
  */
 
-export function localizeObject(obj, lang) {
-  if (lang == null) return obj;
+export function localizeObject(obj, lang, served) {
+  return localize(obj, lang == null ? null : languageChain(lang), served);
+}
+
+function localize(obj, chain, served) {
   if (!obj || typeof obj !== "object") {
     return obj;
   }
 
-  if (Object.keys(obj).every((key) => key.length === 2)) {
-    return obj[lang] || obj[Object.keys(obj)[0]] || obj;
+  if (isLanguageMap(obj)) {
+    const entries = languageEntries(obj).filter(([, value]) => value);
+    if (chain == null) return Object.fromEntries(entries);
+
+    const tag =
+      lookupLanguage(
+        entries.map(([tag]) => tag),
+        chain
+      ) ?? entries[0]?.[0];
+    if (tag != null) served?.add(tag);
+    return tag != null ? obj[tag] : undefined;
   }
 
   return Object.entries(obj).reduce(
     (result, [key, value]) => {
-      result[key] = localizeObject(value, lang);
+      result[key] = localize(value, chain, served);
       return result;
     },
     Array.isArray(obj) ? [] : {}
@@ -54,3 +216,47 @@ export function omitNullish(obj) {
     )
   );
 }
+
+/**
+ * Pick a linked data format from the format query parameter or the Accept header.
+ * Returns "jsonld" (schema.org), "linkedart" (Linked Art profile) or null for plain json.
+ * @param {Object} query
+ * @param {string} [accept]
+ * @returns {"jsonld"|"linkedart"|null}
+ */
+
+export function negotiateFormat(query, accept = "") {
+  if (["jsonld", "linkedart"].includes(query?.format)) return query.format;
+  if (!accept.includes("application/ld+json")) return null;
+  return accept.includes("linked.art") ? "linkedart" : "jsonld";
+}
+
+/**
+ * Replace {key} placeholders in a url template.
+ * Example: fillTemplate("https://example.org/{lang}/item/{id}", { lang: "en", id: 1 })
+ * @param {string} template
+ * @param {Object.<string, string|number>} values
+ * @returns {string}
+ */
+
+export function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) =>
+    key in values ? encodeURIComponent(values[key]) : match
+  );
+}
+
+/**
+ * Read a JSON or YAML config file, by its extension .json, .yaml or .yml.
+ * @param {string} path - absolute or relative to the root of the api
+ * @returns {*}
+ */
+
+export function readConfig(path) {
+  const text = readFileSync(
+    fileURLToPath(new URL(path, new URL("../", import.meta.url))),
+    "utf8"
+  );
+  return [".yaml", ".yml"].includes(extname(path))
+    ? YAML.parse(text)
+    : JSON.parse(text);
+}
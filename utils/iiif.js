@@ -0,0 +1,188 @@
+import { currentSite } from "../sites.js";
+import { types } from "../types.js";
+import { languageEntries, omitNullish } from "./helper.js";
+
+const CONTEXT = "http://iiif.io/api/presentation/3/context.json";
+
+// the date, then the linked types by the label of the types config (else their name)
+const labels = {
+  published: { en: ["Date"], zh: ["日期"] },
+  ...Object.fromEntries(
+    Object.entries(types).map(([type, { label }]) => [
+      type,
+      toLanguageMap(label ?? type),
+    ]),
+  ),
+};
+
+/**
+ * Convert a normalized value (string, list or language-keyed object) into a IIIF language map.
+ * Values without language are stored under "none".
+ * @param {string|string[]|Object} value
+ * @returns {Object.<string, [string]>|undefined}
+ */
+
+export function toLanguageMap(value) {
+  if (value == null || value === "") return;
+  if (typeof value !== "object") return { none: [`${value}`] };
+  if (Array.isArray(value)) {
+    return { none: value.filter((v) => v != null).map((v) => `${v}`) };
+  }
+
+  return Object.fromEntries(
+    languageEntries(value)
+      .filter(([, v]) => v != null)
+      .map(([lang, v]) => [lang, [`${v}`]]),
+  );
+}
+
+/**
+ * Build a IIIF Presentation 3.0 manifest from a normalized item and its details.
+ * Every media entry (html media are already removed by normalizeMedia) becomes a canvas.
+ * @param {Object} item - item as returned by getItem
+ * @param {{media:Object[]}|[]} details - details as returned by getItemDetails
+ * @returns {Object}
+ */
+
+export function normalizeManifest(item, details) {
+  const { API_URL } = currentSite();
+  const id = manifestId(item.id);
+  const media = details?.media ?? [];
+
+  return omitNullish({
+    "@context": CONTEXT,
+    id,
+    type: "Manifest",
+    label: toLanguageMap(item.title) ?? { none: [`${item.id}`] },
+    summary: toLanguageMap(item.description),
+    metadata: normalizeMetadata(item),
+    thumbnail: item.thumbnail && [
+      { id: item.thumbnail, type: "Image", format: "image/jpeg" },
+    ],
+    seeAlso: [
+      {
+        id: `${API_URL}/item/${item.id}`,
+        type: "Dataset",
+        format: "application/json",
+      },
+    ],
+    items: media.map((entry, i) =>
+      normalizeCanvas(entry, `${API_URL}/iiif/item/${item.id}/canvas/${i + 1}`),
+    ),
+  });
+}
+
+/**
+ * Build a IIIF Presentation 3.0 collection referencing the manifests of an item's members.
+ * @param {Object} item - item as returned by getItem
+ * @param {{id:number, title:string|Object, thumbnail?:string}[]} members
+ * @returns {Object}
+ */
+
+export function normalizeCollection(item, members) {
+  return omitNullish({
+    "@context": CONTEXT,
+    id: `${currentSite().API_URL}/iiif/collection/${item.id}`,
+    type: "Collection",
+    label: toLanguageMap(item.title) ?? { none: [`${item.id}`] },
+    summary: toLanguageMap(item.description),
+    metadata: normalizeMetadata(item),
+    items: members.map((member) =>
+      omitNullish({
+        id: manifestId(member.id),
+        type: "Manifest",
+        label: toLanguageMap(member.title) ?? { none: [`${member.id}`] },
+        thumbnail: member.thumbnail && [
+          { id: member.thumbnail, type: "Image", format: "image/jpeg" },
+        ],
+      }),
+    ),
+  });
+}
+
+function manifestId(id) {
+  return `${currentSite().API_URL}/iiif/item/${id}/manifest.json`;
+}
+
+/**
+ * Turn the date and linked resources (creator, objectType, …) of an item into IIIF metadata entries.
+ * @param {Object} item
+ * @returns {{label:Object, value:Object}[]}
+ */
+function normalizeMetadata(item) {
+  return Object.entries(labels)
+    .map(([key, label]) => {
+      const values = [item[key]]
+        .flat()
+        .filter((value) => value != null)
+        .map((value) => toLanguageMap(value.title ?? value))
+        .filter(Boolean);
+
+      if (values.length === 0) return;
+
+      const value = values.reduce((merged, map) => {
+        Object.entries(map).forEach(([lang, strings]) => {
+          merged[lang] = [...(merged[lang] ?? []), ...strings];
+        });
+        return merged;
+      }, {});
+
+      return { label, value };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Build a canvas painting a single media file.
+ * Sound has a duration only, video dimensions and a duration, the rest dimensions.
+ * Dimensions are only given where omeka has them, without them viewers size the
+ * canvas by the loaded file.
+ * @param {{url:string, type:string, title:string, duration?:number, width?:number, height?:number}} media - entry from normalizeMedia
+ * @param {string} id - canvas id
+ * @returns {Object}
+ */
+function normalizeCanvas({ url, type: format, title, duration, ...media }, id) {
+  const type = resourceType(format);
+  const timeBased = type === "Sound" || type === "Video";
+  const size = type !== "Sound" && media.width && media.height;
+  const width = size ? media.width : undefined;
+  const height = size ? media.height : undefined;
+
+  return omitNullish({
+    id,
+    type: "Canvas",
+    label: toLanguageMap(title),
+    width,
+    height,
+    duration: timeBased ? duration : undefined,
+    items: [
+      {
+        id: `${id}/page`,
+        type: "AnnotationPage",
+        items: [
+          {
+            id: `${id}/page/annotation`,
+            type: "Annotation",
+            motivation: "painting",
+            body: omitNullish({
+              id: url,
+              type,
+              format,
+              width,
+              height,
+              duration: timeBased ? duration : undefined,
+            }),
+            target: id,
+          },
+        ],
+      },
+    ],
+  });
+}
+
+function resourceType(format = "") {
+  if (format.startsWith("image/")) return "Image";
+  if (format.startsWith("video/")) return "Video";
+  if (format.startsWith("audio/")) return "Sound";
+  return "Text";
+}
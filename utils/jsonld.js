@@ -0,0 +1,180 @@
+import { currentSite } from "../sites.js";
+import { dateRange, formatDay } from "./dates.js";
+import {
+  languageEntries,
+  localizeObject,
+  normalizeLang,
+  omitNullish,
+} from "./helper.js";
+
+// Getty AAT terms used by Linked Art
+const aat = {
+  primaryName: "http://vocab.getty.edu/aat/300404670",
+  description: "http://vocab.getty.edu/aat/300435416",
+  languages: {
+    en: { id: "http://vocab.getty.edu/aat/300388277", _label: "English" },
+    zh: { id: "http://vocab.getty.edu/aat/300388113", _label: "Chinese" },
+  },
+};
+
+/**
+ * URI of an item served by this API.
+ * @param {number} id
+ * @returns {string}
+ */
+
+export function itemUri(id) {
+  return `${currentSite().API_URL}/item/${id}`;
+}
+
+/**
+ * Build schema.org JSON-LD from a normalized item (see getItem).
+ * Creators become a Person, everything else a CreativeWork.
+ * Without lang, multilingual values become language-tagged value objects.
+ * @param {Object} item
+ * @param {string} [lang]
+ * @returns {Object}
+ */
+
+export function normalizeSchemaOrg(item, lang) {
+  const text = (value) => schemaText(value, lang);
+  const link = (type) => (linked) =>
+    omitNullish({
+      "@type": type,
+      "@id": itemUri(linked.id),
+      name: text(linked.title),
+    });
+
+  const common = {
+    "@context": "https://schema.org",
+    "@id": itemUri(item.id),
+    url: itemUri(item.id),
+    name: text(item.title),
+    alternateName: text(item.titleAlt),
+    description: text(item.description),
+    image: item.thumbnailLarge ?? item.thumbnail,
+  };
+
+  if (item.type === "creator") {
+    return omitNullish({ ...common, "@type": "Person" });
+  }
+
+  return omitNullish({
+    ...common,
+    "@type": "CreativeWork",
+    dateCreated: item.published,
+    creator: nonEmpty(item.creator?.map(link("Person"))),
+    genre: nonEmpty(item.objectType?.map(link("DefinedTerm"))),
+    isPartOf: nonEmpty(item.theme?.map(link("Collection"))),
+    about: nonEmpty(item.era?.map(link("Event"))),
+    hasPart: nonEmpty(item.items?.map((id) => ({ "@id": itemUri(id) }))),
+    position: item.number,
+  });
+}
+
+/**
+ * Build a Linked Art (https://linked.art) description from a normalized item (see getItem).
+ * Creators become a Person, everything else a HumanMadeObject.
+ * @param {Object} item
+ * @returns {Object}
+ */
+
+export function normalizeLinkedArt(item) {
+  const link = (type) => (linked) => ({
+    id: itemUri(linked.id),
+    type,
+    _label: localizeObject(linked.title, "en"),
+  });
+
+  const common = {
+    "@context": "https://linked.art/ns/v1/linked-art.json",
+    id: itemUri(item.id),
+    _label: localizeObject(item.title, "en"),
+    identified_by: linkedArtNames(item.title),
+    referred_to_by: item.description && [
+      {
+        type: "LinguisticObject",
+        content: localizeObject(item.description, "en"),
+        classified_as: [
+          { id: aat.description, type: "Type", _label: "Description" },
+        ],
+      },
+    ],
+    representation: item.thumbnailLarge && [
+      {
+        type: "VisualItem",
+        digitally_shown_by: [
+          {
+            type: "DigitalObject",
+            access_point: [{ id: item.thumbnailLarge, type: "DigitalObject" }],
+          },
+        ],
+      },
+    ],
+  };
+
+  if (item.type === "creator") {
+    return omitNullish({ ...common, type: "Person" });
+  }
+
+  return omitNullish({
+    ...common,
+    type: "HumanMadeObject",
+    classified_as: nonEmpty(item.objectType?.map(link("Type"))),
+    member_of: nonEmpty(item.theme?.map(link("Set"))),
+    produced_by: omitNullish({
+      type: "Production",
+      carried_out_by: nonEmpty(item.creator?.map(link("Person"))),
+      timespan: linkedArtTimespan(item.published),
+      during: nonEmpty(item.era?.map(link("Period"))),
+    }),
+  });
+}
+
+function nonEmpty(array) {
+  return array?.length > 0 ? array : undefined;
+}
+
+function schemaText(value, lang) {
+  if (value == null || value === "") return;
+  if (typeof value !== "object") return value;
+  if (lang != null) return localizeObject(value, lang);
+
+  return languageEntries(value).map(([language, v]) =>
+    /^[a-z]{2,3}(-|$)/.test(language)
+      ? { "@value": v, "@language": language }
+      : v,
+  );
+}
+
+function linkedArtNames(title) {
+  if (title == null) return;
+  const names =
+    typeof title === "object" ? languageEntries(title) : [[, title]];
+
+  return names.map(([language, content]) =>
+    omitNullish({
+      type: "Name",
+      content,
+      classified_as: [
+        { id: aat.primaryName, type: "Type", _label: "Primary Name" },
+      ],
+      language: aat.languages[normalizeLang(language)] && [
+        { ...aat.languages[normalizeLang(language)], type: "Language" },
+      ],
+    }),
+  );
+}
+
+// the days of dateRange, from the first to the last second
+function linkedArtTimespan(published) {
+  const range = dateRange(published);
+  if (range == null) return;
+
+  return {
+    type: "TimeSpan",
+    identified_by: [{ type: "Name", content: `${published}` }],
+    begin_of_the_begin: `${formatDay(range[0])}T00:00:00Z`,
+    end_of_the_end: `${formatDay(range[1])}T23:59:59Z`,
+  };
+}
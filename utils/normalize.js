@@ -1,19 +1,26 @@
 import he from "he";
-import { types, filterConfig } from "../types.js";
-import { omitNullish } from "./helper.js";
-import { OMEKA_FILE_URL, OMEKA_FILE_URL_REPLACEMENT } from "../env.js";
+import { types, filterConfig, facets } from "../types.js";
+import { languageMap, omitNullish } from "./helper.js";
+import { foldChinese } from "./chinese.js";
+import { matchProperties } from "./query.js";
+import { currentSite } from "../sites.js";
 
 /**
  * Normalize a value from the API into a language-indexed object or single value
- * - If property is an array with length > 1: returns { langCode: value, ... }
+ * - If property is an array with length > 1: returns a language map
+ *   { langCode: value, ... } (see languageMap) when every value has a language,
+ *   else an array of the values
  * - Otherwise returns the first "@value" or the value itself
  * @param {*} property
- * @returns {string|Object|*}
+ * @returns {string|Object|Array|*}
  */
 
 export function normalizeValue(property) {
   if (Array.isArray(property) && property.length > 1) {
-    return Object.fromEntries(
+    if (!property.every((value) => value?.["@language"])) {
+      return property.map((value) => normalizeValue(value));
+    }
+    return languageMap(
       property.map(({ "@language": language, "@value": value }) => [
         language,
         safeTrim(value),
@@ -64,7 +71,9 @@ export function normalizeType(item) {
 /**
  * Normalize a media items array:
  * - remove html media
- * - return normalized media array
+ * - return normalized media array, audio and video with their duration in seconds
+ *   (ebucore:duration), images and video with their size in pixels where omeka has it
+ *   (ebucore:width/height, else the info.json of IIIF media in o:media_data)
  * @param {Object} items
  * @returns {Object}
  */
@@ -78,18 +87,44 @@ export function normalizeMedia(items) {
         "o:original_url": url,
         "o:media_type": type,
         "dcterms:title": title,
+        "ebucore:duration": duration,
+        "ebucore:width": width,
+        "ebucore:height": height,
+        "o:media_data": data,
       }) =>
         omitNullish({
           filename,
           url: overwriteFileUrl(url),
           type,
           title: normalizeValue(title) ?? filename.replace(/^.+\//, ""),
+          duration: parseDuration(normalizeValue(duration)),
+          width: parsePixels(normalizeValue(width) ?? data?.width),
+          height: parsePixels(normalizeValue(height) ?? data?.height),
         }),
     );
 
   if (mediaItems.length === 0) return null;
   return mediaItems;
 }
+
+// seconds of a duration as seconds ("90.5"), timecode ("00:01:30.5") or ISO 8601 ("PT1M30.5S")
+function parseDuration(value) {
+  const text = `${value ?? ""}`.trim();
+  const iso = text.match(/^PT(?:([0-9.]+)H)?(?:([0-9.]+)M)?(?:([0-9.]+)S)?$/i);
+  const parts = iso
+    ? iso.slice(1).map((part) => +(part ?? 0))
+    : /^[0-9]+(:[0-9]+){0,2}(\.[0-9]+)?$/.test(text)
+      ? text.split(":").map(Number)
+      : [];
+  const seconds = parts.reduce((total, part) => total * 60 + part, 0);
+  return seconds > 0 ? seconds : undefined;
+}
+
+// whole pixels, undefined unless positive
+function parsePixels(value) {
+  const pixels = Number(value);
+  return Number.isInteger(pixels) && pixels > 0 ? pixels : undefined;
+}
 /**
  * Normalize a html media items array:
  * - remove non html media
@@ -144,38 +179,77 @@ export function normalizeHero(item) {
   return overwriteFileUrl(item.thumbnail_display_urls?.large);
 }
 /**
- * Generate counts for UI filters from a list of formatted items.
- * Returns an object keyed by filter name containing counts per filter value.
- * @param {Array} items - formatted items
+ * Generate counts for UI filters from a list of raw items.
+ * Returns an object keyed by facet name containing counts per filter value
+ * (linked resource id, or literal value, see literalFilterValue), each item counted once per value.
+ * With the properties of parseQuery the items are filtered first, except that the
+ * alternatives (12|15) of a filter are left out for its own counts, so they show
+ * how many items each further alternative would add.
+ * @param {Array} items - raw items from API
+ * @param {Object[]} [properties] - see parseQuery
  * @returns {Object.<string, Object.<string, number>>}
  */
 
-export function normalizeItemFilters(items) {
-  const itemFilters = Object.fromEntries(
-    Object.keys(filterConfig).map((key) => [key, {}]),
+export function normalizeItemFilters(items, properties = []) {
+  const itemFilters = countFilters(
+    items.filter((item) => matchProperties(item, properties)),
   );
 
-  items.forEach((item) => {
-    Object.keys(types).forEach((key) => {
-      if (!item[key]) return;
-      item[key].forEach((filter) => {
-        const filterKey = filter.id ?? filter.value;
-
-        itemFilters[key][filterKey] = itemFilters[key][filterKey]
-          ? itemFilters[key][filterKey] + 1
-          : 1;
-      });
-    });
+  facets.forEach((key) => {
+    const { property } = filterConfig[key];
+    const isAlternative = (clause) =>
+      clause.property === property && `${clause.value}`.includes("|");
+    if (!properties.some(isAlternative)) return;
+
+    const relaxed = properties.filter((clause) => !isAlternative(clause));
+    itemFilters[key] = countFilters(
+      items.filter((item) => matchProperties(item, relaxed)),
+    )[key];
+  });
 
-    const year = item["dcterms:date"]?.[0]?.["@value"]?.split("-")[0];
+  return itemFilters;
+}
 
-    itemFilters.year[year] = itemFilters.year[year]
-      ? itemFilters.year[year] + 1
-      : 1;
+function countFilters(items) {
+  const itemFilters = Object.fromEntries(facets.map((key) => [key, {}]));
+  const count = (key, value) => {
+    itemFilters[key][value] = (itemFilters[key][value] ?? 0) + 1;
+  };
+
+  items.forEach((item) => {
+    facets.forEach((key) => {
+      const { property } = filterConfig[key];
+
+      if (types[key] != null) {
+        new Set(
+          item[property]
+            ?.map(({ value_resource_id: id }) => id)
+            .filter((id) => id != null),
+        ).forEach((id) => count(key, id));
+        return;
+      }
+
+      const value = literalFilterValue(item, key);
+      if (value) count(key, value);
+    });
   });
   return itemFilters;
 }
 
+/**
+ * Value of a literal (not linked) filter counted in facets: the first value of its
+ * property, up to the cutAt of the filter if it has one (the year of dates).
+ * @param {Object} item - raw item from API
+ * @param {string} key - filter name, see filterConfig
+ * @returns {string|undefined}
+ */
+
+export function literalFilterValue(item, key) {
+  const { property, cutAt } = filterConfig[key];
+  const value = item[property]?.[0]?.["@value"];
+  return cutAt == null ? value : value?.split(cutAt)[0];
+}
+
 /**
  * Takes an omeka page array and returns title and html
  * @param {Object} pages
@@ -241,6 +315,7 @@ function safeTrim(value) {
 }
 
 export function overwriteFileUrl(url) {
+  const { OMEKA_FILE_URL, OMEKA_FILE_URL_REPLACEMENT } = currentSite();
   if (!OMEKA_FILE_URL_REPLACEMENT || !OMEKA_FILE_URL || !url) return url;
 
   return url.replace(OMEKA_FILE_URL, OMEKA_FILE_URL_REPLACEMENT);
@@ -251,6 +326,7 @@ export function overwriteFileUrl(url) {
  * - more than 3 characters
  * or
  * - chinese characters
+ * Traditional Chinese characters are folded to Simplified.
  *
  * @param {string} searchString
  * @returns {[string]}
@@ -259,6 +335,7 @@ export function normalizeSearchString(searchString) {
   return (
     searchString
       ?.split(",")
-      .filter((str) => str.length >= 3 || /\p{Script=Han}/u.test(str)) ?? []
+      .filter((str) => str.length >= 3 || /\p{Script=Han}/u.test(str))
+      .map(foldChinese) ?? []
   ).sort();
 }
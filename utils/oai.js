@@ -0,0 +1,372 @@
+import he from "he";
+import { subjectTypes, types } from "../types.js";
+import { languageEntries, localizeObject } from "./helper.js";
+import { normalizeOmekaFields, normalizeType } from "./normalize.js";
+import { currentSite } from "../sites.js";
+
+const PAGE_SIZE = 100;
+// linked types listed as sets, all but the creators
+const SET_TYPES = Object.keys(types).filter((type) => type !== "creator");
+
+const metadataFormats = {
+  oai_dc: {
+    schema: "http://www.openarchives.org/OAI/2.0/oai_dc.xsd",
+    namespace: "http://www.openarchives.org/OAI/2.0/oai_dc/",
+  },
+};
+
+// allowed arguments per verb, required ones marked true
+const verbs = {
+  Identify: {},
+  ListMetadataFormats: { identifier: false },
+  ListSets: { resumptionToken: false },
+  ListIdentifiers: {
+    metadataPrefix: true,
+    from: false,
+    until: false,
+    set: false,
+    resumptionToken: false,
+  },
+  ListRecords: {
+    metadataPrefix: true,
+    from: false,
+    until: false,
+    set: false,
+    resumptionToken: false,
+  },
+  GetRecord: { identifier: true, metadataPrefix: true },
+};
+
+/** Verbs of OAI-PMH 2.0 */
+export const OAI_VERBS = Object.keys(verbs);
+
+/**
+ * Answer an OAI-PMH 2.0 request.
+ * @param {Object} args - request arguments (verb, metadataPrefix, …)
+ * @param {{allItems:Object[], ids:Object.<string,string>, filters:Object}} data
+ *   raw items, datestamps by id (see getIds) and filters (see getFilters)
+ * @returns {string} xml
+ */
+
+export function oaiResponse(args, data) {
+  const { verb } = args;
+
+  // own verbs only, not toString, __proto__, …
+  if (typeof verb !== "string" || !Object.hasOwn(handlers, verb)) {
+    return envelope(null, error("badVerb", "Illegal or missing verb"));
+  }
+
+  const argError = checkArguments(args);
+  if (argError) return envelope(null, argError);
+
+  return envelope(args, handlers[verb](args, data));
+}
+
+const handlers = {
+  Identify(args, { ids }) {
+    const { SITE_NAME, OAI_ADMIN_EMAIL } = currentSite();
+    const earliest = Object.values(ids).sort()[0] ?? "1970-01-01";
+    return `<Identify>
+<repositoryName>${escape(SITE_NAME)}</repositoryName>
+<baseURL>${escape(baseUrl())}</baseURL>
+<protocolVersion>2.0</protocolVersion>
+<adminEmail>${escape(OAI_ADMIN_EMAIL)}</adminEmail>
+<earliestDatestamp>${earliest}</earliestDatestamp>
+<deletedRecord>no</deletedRecord>
+<granularity>YYYY-MM-DD</granularity>
+</Identify>`;
+  },
+
+  ListMetadataFormats({ identifier }, data) {
+    if (identifier != null && findItem(identifier, data) == null) {
+      return error("idDoesNotExist", `Unknown identifier ${identifier}`);
+    }
+    return `<ListMetadataFormats>${Object.entries(metadataFormats)
+      .map(
+        ([prefix, { schema, namespace }]) =>
+          `<metadataFormat><metadataPrefix>${prefix}</metadataPrefix><schema>${schema}</schema><metadataNamespace>${namespace}</metadataNamespace></metadataFormat>`,
+      )
+      .join("\n")}</ListMetadataFormats>`;
+  },
+
+  ListSets({ resumptionToken }, { filters }) {
+    if (resumptionToken != null) {
+      return error("badResumptionToken", "Sets are not paginated");
+    }
+    const sets = SET_TYPES.flatMap((type) =>
+      (filters[type] ?? []).map(
+        ({ id, title }) =>
+          `<set><setSpec>${type}:${id}</setSpec><setName>${escape(localizeObject(title, "en"))}</setName></set>`,
+      ),
+    );
+    return `<ListSets>${sets.join("\n")}</ListSets>`;
+  },
+
+  ListIdentifiers(args, data) {
+    return listRecords("ListIdentifiers", args, data, (item) =>
+      header(item, data),
+    );
+  },
+
+  ListRecords(args, data) {
+    return listRecords(
+      "ListRecords",
+      args,
+      data,
+      (item) => `<record>${header(item, data)}${metadata(item, data)}</record>`,
+    );
+  },
+
+  GetRecord({ identifier, metadataPrefix }, data) {
+    if (!isFormat(metadataPrefix)) {
+      return error(
+        "cannotDisseminateFormat",
+        `Unsupported metadataPrefix ${metadataPrefix}`,
+      );
+    }
+    const item = findItem(identifier, data);
+    if (item == null) {
+      return error("idDoesNotExist", `Unknown identifier ${identifier}`);
+    }
+    return `<GetRecord><record>${header(item, data)}${metadata(item, data)}</record></GetRecord>`;
+  },
+};
+
+/**
+ * Shared implementation of ListIdentifiers and ListRecords with resumption tokens.
+ * @returns {string} xml
+ */
+function listRecords(verb, args, data, render) {
+  const options = args.resumptionToken
+    ? decodeToken(args.resumptionToken)
+    : {
+        metadataPrefix: args.metadataPrefix,
+        from: args.from,
+        until: args.until,
+        set: args.set,
+        cursor: 0,
+      };
+
+  if (options == null) {
+    return error("badResumptionToken", "Invalid resumption token");
+  }
+  if (!isFormat(options.metadataPrefix)) {
+    return error(
+      "cannotDisseminateFormat",
+      `Unsupported metadataPrefix ${options.metadataPrefix}`,
+    );
+  }
+
+  const { from, until, set } = options;
+  if (![from, until].every((date) => date == null || isDate(date))) {
+    return error("badArgument", "from and until must be YYYY-MM-DD");
+  }
+  if (from != null && until != null && from > until) {
+    return error("badArgument", "from must not be after until");
+  }
+
+  let setFilter = () => true;
+  if (set != null) {
+    const [type, id] = set.split(":");
+    if (!SET_TYPES.includes(type) || !/^[0-9]+$/.test(id ?? "")) {
+      return error("noRecordsMatch", `Unknown set ${set}`);
+    }
+    setFilter = (item) =>
+      item[types[type].property]?.some(
+        ({ value_resource_id: value }) => value === +id,
+      );
+  }
+
+  const items = records(data)
+    .filter((item) => {
+      const datestamp = data.ids[item["o:id"]];
+      return (
+        (from == null || datestamp >= from) &&
+        (until == null || datestamp <= until)
+      );
+    })
+    .filter(setFilter);
+
+  if (items.length === 0) {
+    return error("noRecordsMatch", "No records match the request");
+  }
+
+  const { cursor } = options;
+  if (cursor >= items.length) {
+    return error("badResumptionToken", "Resumption token is out of range");
+  }
+
+  const page = items.slice(cursor, cursor + PAGE_SIZE);
+  const next = cursor + PAGE_SIZE;
+  const token =
+    next < items.length ? encodeToken({ ...options, cursor: next }) : "";
+  const resumption =
+    args.resumptionToken || token
+      ? `<resumptionToken completeListSize="${items.length}" cursor="${cursor}">${token}</resumptionToken>`
+      : "";
+
+  return `<${verb}>${page.map(render).join("\n")}${resumption}</${verb}>`;
+}
+
+/**
+ * Objects exposed for harvesting (linked vocabulary items are left out), ordered by id.
+ * @returns {Object[]}
+ */
+function records({ allItems }) {
+  return allItems
+    .filter((item) => normalizeType(item) === "object")
+    .toSorted((a, b) => a["o:id"] - b["o:id"]);
+}
+
+function findItem(identifier, data) {
+  const id = identifier?.match(/:([0-9]+)$/)?.[1];
+  if (id == null || identifier !== toIdentifier(+id)) return;
+  return records(data).find((item) => item["o:id"] === +id);
+}
+
+function header(item, { ids }) {
+  const sets = SET_TYPES.flatMap((type) =>
+    (item[types[type].property] ?? [])
+      .filter(({ value_resource_id: id }) => id != null)
+      .map(({ value_resource_id: id }) => `<setSpec>${type}:${id}</setSpec>`),
+  );
+  return `<header><identifier>${toIdentifier(item["o:id"])}</identifier><datestamp>${ids[item["o:id"]]}</datestamp>${[...new Set(sets)].join("")}</header>`;
+}
+
+/**
+ * oai_dc metadata of a raw item, linked creators/themes/eras resolved to their titles,
+ * eras as coverage and the other subject types (see subjectTypes) as subjects.
+ * @returns {string} xml
+ */
+function metadata(item, { filters }) {
+  const fields = normalizeOmekaFields(item, filters, { description: true });
+
+  const elements = [
+    ...dcElements("title", fields.title),
+    ...dcElements("description", fields.description),
+    ...dcElements("date", fields.published),
+    ...(fields.creator ?? []).flatMap(({ title }) =>
+      dcElements("creator", title),
+    ),
+    ...(fields.objectType ?? []).flatMap(({ title }) =>
+      dcElements("type", title),
+    ),
+    ...subjectTypes.flatMap((type) =>
+      (fields[type] ?? []).flatMap(({ title }) =>
+        dcElements(type === "era" ? "coverage" : "subject", title),
+      ),
+    ),
+    ...dcElements("identifier", `${currentSite().API_URL}/item/${fields.id}`),
+  ];
+
+  return `<metadata><oai_dc:dc xmlns:oai_dc="http://www.openarchives.org/OAI/2.0/oai_dc/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.openarchives.org/OAI/2.0/oai_dc/ http://www.openarchives.org/OAI/2.0/oai_dc.xsd">${elements.join("")}</oai_dc:dc></metadata>`;
+}
+
+/**
+ * One dc element per language of a normalized value.
+ * @param {string} name
+ * @param {string|Object} value
+ * @returns {[string]}
+ */
+function dcElements(name, value) {
+  if (value == null || value === "") return [];
+  if (typeof value !== "object")
+    return [`<dc:${name}>${escape(value)}</dc:${name}>`];
+
+  return languageEntries(value)
+    .filter(([, v]) => v != null)
+    .map(([lang, v]) =>
+      /^[a-z]{2,3}(-[A-Za-z0-9]+)*$/.test(lang)
+        ? `<dc:${name} xml:lang="${lang}">${escape(v)}</dc:${name}>`
+        : `<dc:${name}>${escape(v)}</dc:${name}>`,
+    );
+}
+
+function checkArguments(args) {
+  const allowed = Object.hasOwn(verbs, args.verb) ? verbs[args.verb] : {};
+  const keys = Object.keys(args).filter((key) => key !== "verb");
+
+  if (keys.some((key) => !Object.hasOwn(allowed, key))) {
+    return error("badArgument", "Illegal argument");
+  }
+  if (keys.some((key) => Array.isArray(args[key]))) {
+    return error("badArgument", "Repeated argument");
+  }
+  if (args.resumptionToken != null) {
+    return keys.length > 1
+      ? error("badArgument", "resumptionToken is an exclusive argument")
+      : null;
+  }
+  const missing = Object.entries(allowed).find(
+    ([key, required]) => required && args[key] == null,
+  );
+  if (missing) return error("badArgument", `Missing argument ${missing[0]}`);
+  return null;
+}
+
+function envelope(args, body) {
+  // the request element only echoes arguments when there is no badVerb/badArgument error
+  const attributes =
+    args && !/code="bad(Verb|Argument)"/.test(body)
+      ? Object.entries(args)
+          .map(([key, value]) => ` ${key}="${escape(value)}"`)
+          .join("")
+      : "";
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<OAI-PMH xmlns="http://www.openarchives.org/OAI/2.0/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.openarchives.org/OAI/2.0/ http://www.openarchives.org/OAI/2.0/OAI-PMH.xsd">
+<responseDate>${new Date().toISOString().split(".")[0]}Z</responseDate>
+<request${attributes}>${escape(baseUrl())}</request>
+${body}
+</OAI-PMH>`;
+}
+
+function error(code, message) {
+  return `<error code="${code}">${escape(message)}</error>`;
+}
+
+function baseUrl() {
+  return `${currentSite().API_URL}/oai`;
+}
+
+function toIdentifier(id) {
+  return `oai:${new URL(currentSite().API_URL).hostname}:${id}`;
+}
+
+// day granularity, as declared by Identify
+function isDate(date) {
+  return /^[0-9]{4}-[0-9]{2}-[0-9]{2}$/.test(date);
+}
+
+// own formats only, not toString, constructor, …
+function isFormat(prefix) {
+  return typeof prefix === "string" && Object.hasOwn(metadataFormats, prefix);
+}
+
+function encodeToken(options) {
+  return Buffer.from(JSON.stringify(options)).toString("base64url");
+}
+
+// the options of encodeToken, null for tokens this repository did not issue
+function decodeToken(token) {
+  let options;
+  try {
+    options = JSON.parse(Buffer.from(token, "base64url").toString());
+  } catch {
+    return null;
+  }
+
+  const valid =
+    options != null &&
+    typeof options === "object" &&
+    Number.isInteger(options.cursor) &&
+    options.cursor >= 0 &&
+    isFormat(options.metadataPrefix) &&
+    [options.from, options.until, options.set].every(
+      (value) => value == null || typeof value === "string",
+    );
+  return valid ? options : null;
+}
+
+function escape(value) {
+  return he.escape(`${value ?? ""}`);
+}
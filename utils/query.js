@@ -1,39 +1,79 @@
 import { PAGE_LIMIT, PAGE_MAX_LIMIT } from "../env.js";
-import { filterConfig } from "../types.js";
+import { filterConfig, types } from "../types.js";
 import { normalizeSearchString } from "./normalize.js";
+import { dateRange, formatDay, itemDateRange } from "./dates.js";
+
+/**
+ * Sort orders of query results and their default direction.
+ * created and modified are sorted by the API (locally too with dates, see matchDates),
+ * the others locally over the matching items.
+ */
+export const SORTS = {
+  created: "desc",
+  modified: "desc",
+  date: "asc",
+  title: "asc",
+  number: "asc",
+  relevance: "desc",
+  // by the title of the first linked resource
+  ...Object.fromEntries(
+    Object.keys(types)
+      .filter((type) => types[type].sortable)
+      .map((type) => [type, "asc"])
+  ),
+};
 
 /**
  * Convert a query object with comma-separated filter values into an API query string.
- * Supports objectType, creator, theme, era, year and optional fulltext_search via query.search.
+ * Supports the filters of filterConfig (objectType, creator, theme, era, year, …) and
+ * optional fulltext_search via query.search.
+ * Comma-separated values of a filter must all match, values joined by | are alternatives
+ * (theme=12|15) and a leading ! excludes (creator=!34, omeka's nres and nsw types).
+ * Also returns the parsed property[] blocks (without search) and search terms for local evaluation.
+ * from/to (partial ISO dates) and decade (e.g. 1970s) are returned as dates, see matchDates.
+ * The sort defaults to relevance for searches, title for the parts of an item (query.id) and
+ * created otherwise, relevance without a search falls back to that default too.
  * @param {Object} query
- * @param {number} [offset=0] - starting index for property[] blocks
- * @returns {string}
+ * @returns {{queryString:string, isFiltered:boolean, limit:number, page:number, properties:Object[], search:[string], isLocal:boolean, dates:?{from?:string, to?:string, undated:string}, sort:string, order:"asc"|"desc"}}
  */
 
 export function parseQuery(query) {
-  const filters = {
-    objectType: (query?.objectType?.split(",") ?? []).sort(),
-    creator: (query?.creator?.split(",") ?? []).sort(),
-    theme: (query?.theme?.split(",") ?? []).sort(),
-    era: (query?.era?.split(",") ?? []).sort(),
-    year: (query?.year?.split(",") ?? []).sort(),
-    search: normalizeSearchString(query?.search),
-  };
+  const filters = Object.fromEntries(
+    Object.keys(filterConfig).map((key) => [
+      key,
+      key === "search"
+        ? normalizeSearchString(query?.search)
+        : parseTerms(query?.[key]),
+    ])
+  );
 
-  const queryStrings = Object.entries(filters)
+  const properties = Object.entries(filters)
     .map(([type, values]) =>
       values.map((value) => {
+        const searchType = filterConfig[type].searchType;
+        const negate = value.startsWith("!");
+
         return {
           property: filterConfig[type].property,
-          searchType: filterConfig[type].searchType,
-          value,
+          searchType: negate ? `n${searchType ?? "res"}` : searchType,
+          value: negate ? value.slice(1) : value,
         };
       })
     )
-    .flat()
-    .map(({ property, value, searchType }, i) =>
-      filterQuery(property, value, i, searchType)
+    .flat();
+
+  const queryStrings = properties.map(({ property, value, searchType }, i) =>
+    filterQuery(property, value, i, searchType)
+  );
+
+  const dates = parseDates(query);
+  if (dates != null) {
+    queryStrings.push(
+      Object.entries(dates)
+        .map(([key, value]) => `${key}=${value}`)
+        .join("&")
     );
+  }
 
   if (query?.id) {
     queryStrings.push(`id=${encodeURIComponent(query.id)}`);
@@ -48,9 +88,114 @@ export function parseQuery(query) {
   const page = query?.page ?? 1;
   queryStrings.push(`page=${encodeURIComponent(page)}`);
 
+  const sort =
+    query?.sort in SORTS &&
+    (query.sort !== "relevance" || filters.search.length > 0)
+      ? query.sort
+      : filters.search.length > 0
+        ? "relevance"
+        : query?.id
+          ? "title"
+          : "created";
+  const order = query?.order ?? SORTS[sort];
+  queryStrings.push(`sort_by=${sort}&sort_order=${order}`);
+
   const queryString = queryStrings.join("&");
 
-  return { queryString, isFiltered, limit };
+  return {
+    queryString,
+    isFiltered,
+    limit: +limit,
+    page: +page,
+    properties: properties.filter(
+      ({ property }) => property !== filterConfig.search.property
+    ),
+    search: filters.search,
+    // omeka can't join alternatives within a filter or filter by date ranges
+    isLocal:
+      dates != null || properties.some(({ value }) => value.includes("|")),
+    dates,
+    sort,
+    order,
+  };
+}
+
+/**
+ * Check a raw item against property[] blocks as returned by parseQuery, locally
+ * mirroring the API's "res" (linked resource id) and "sw" (starts with) types and
+ * their negations "nres" and "nsw", any of the | separated values may match.
+ * @param {Object} item - raw item from API
+ * @param {{property:string, searchType?:string, value:string}[]} properties
+ * @returns {boolean}
+ */
+
+export function matchProperties(item, properties) {
+  return properties.every(({ property, searchType = "res", value }) => {
+    const values = item[property] ?? [];
+    const negate = searchType.startsWith("n");
+    const alternatives = `${value}`.split("|");
+
+    const match = alternatives.some((alternative) =>
+      searchType.endsWith("sw")
+        ? values.some(({ "@value": v }) => `${v ?? ""}`.startsWith(alternative))
+        : values.some(({ value_resource_id: id }) => `${id}` === alternative)
+    );
+    return negate ? !match : match;
+  });
+}
+/**
+ * Check a raw item against the dates of parseQuery. Dates of any precision count
+ * as the days they cover and match when these overlap from–to, undated items
+ * only match with undated include or only.
+ * @param {Object} item - raw item from API
+ * @param {?{from?:string, to?:string, undated:"include"|"exclude"|"only"}} dates
+ * @returns {boolean}
+ */
+
+export function matchDates(item, dates) {
+  if (dates == null) return true;
+
+  const range = itemDateRange(item);
+  if (range == null) return dates.undated !== "exclude";
+  if (dates.undated === "only") return false;
+
+  const [start, end] = range;
+  return (
+    (dates.from == null || end >= dateRange(dates.from)[0]) &&
+    (dates.to == null || start <= dateRange(dates.to)[1])
+  );
+}
+
+/**
+ * Whether a cached query (the query string part of a query: cache key) could contain
+ * one of the given raw items. Queries with a search are always considered affected.
+ * @param {string} queryString
+ * @param {Object[]} items - raw items from API
+ * @returns {boolean}
+ */
+
+export function isQueryAffected(queryString, items) {
+  const params = new URLSearchParams(queryString);
+  const properties = [];
+  for (let i = 0; params.has(`property[${i}][property]`); i++) {
+    properties.push({
+      property: params.get(`property[${i}][property]`),
+      searchType: params.get(`property[${i}][type]`),
+      value: params.get(`property[${i}][text]`),
+    });
+  }
+
+  if (properties.some(({ searchType }) => searchType === "in")) return true;
+
+  const ids = params.get("id")?.split(",").map(Number);
+  const dates = parseDates(Object.fromEntries(params));
+
+  return items.some(
+    (item) =>
+      (ids == null || ids.includes(item["o:id"])) &&
+      matchProperties(item, properties) &&
+      matchDates(item, dates)
+  );
 }
 /**
  * Build a single property[] query fragment used by the API.
@@ -64,3 +209,45 @@ export function parseQuery(query) {
 function filterQuery(property, value, index = 0, type = "res") {
   return `property[${index}][property]=${property}&property[${index}][type]=${type}&property[${index}][text]=${value}`;
 }
+
+// from, to and decade narrowed to their intersection as full ISO dates, and undated
+// (exclude by default with a range, include without), null without any
+function parseDates(query) {
+  const from = [dateRange(query?.from)?.[0]];
+  const to = [dateRange(query?.to)?.[1]];
+
+  const decade = query?.decade?.match(/^(-?[0-9]*0)s$/)?.[1];
+  if (decade != null) {
+    from.push(dateRange(decade)[0]);
+    to.push(dateRange(`${+decade + 9}`)[1]);
+  }
+
+  const days = {
+    from: Math.max(...from.filter((day) => day != null)),
+    to: Math.min(...to.filter((day) => day != null)),
+  };
+  const dates = Object.fromEntries(
+    Object.entries(days)
+      .filter(([, day]) => Number.isFinite(day))
+      .map(([key, day]) => [key, formatDay(day)])
+  );
+
+  const hasRange = Object.keys(dates).length > 0;
+  if (!hasRange && query?.undated == null) return null;
+
+  dates.undated = query?.undated ?? (hasRange ? "exclude" : "include");
+  return dates;
+}
+
+// comma-separated terms of a filter in canonical order, the alternatives of each sorted too
+function parseTerms(value) {
+  return (value?.split(",") ?? [])
+    .map((term) => {
+      const negate = term.startsWith("!");
+      const alternatives = [
+        ...new Set(term.replace(/^!/, "").split("|")),
+      ].sort();
+      return `${negate ? "!" : ""}${alternatives.join("|")}`;
+    })
+    .sort();
+}
@@ -0,0 +1,93 @@
+import { types } from "../types.js";
+import { normalizeType } from "./normalize.js";
+
+// weights of a shared linked resource per type (the ones in the types config),
+// and of a date in the same year (falling linearly to 0 at YEAR_SPAN years apart)
+const weights = Object.fromEntries(
+  Object.entries({ creator: 3, theme: 2, era: 1.5, objectType: 1 }).filter(
+    ([type]) => types[type] != null,
+  ),
+);
+const DATE_WEIGHT = 2;
+const YEAR_SPAN = 10;
+
+// only items sharing one of these are candidates, a shared object type or date
+// alone would relate most of the archive
+const candidateTypes = ["creator", "theme", "era"];
+
+/** Most related items kept per item */
+export const RELATED_MAX = 50;
+
+/**
+ * Index the objects (parts excluded) by their linked creators, themes, eras and
+ * object types, in one pass over the items. Plain objects, so it can be cached.
+ * @param {Object[]} allItems - raw items
+ * @returns {{linked:Object.<number, string[]>, postings:Object.<string, number[]>, years:Object.<number, number>}}
+ *   type:linkedId keys per object id, object ids per key and years per object id
+ */
+
+export function buildRelatedIndex(allItems) {
+  const index = { linked: {}, postings: {}, years: {} };
+
+  for (const item of allItems) {
+    if (normalizeType(item) !== "object" || item["dcterms:isPartOf"] != null) {
+      continue;
+    }
+    const id = item["o:id"];
+    const keys = Object.keys(weights).flatMap((type) =>
+      (item[types[type].property] ?? [])
+        .map(({ value_resource_id: linkedId }) => linkedId)
+        .filter((linkedId) => linkedId != null)
+        .map((linkedId) => `${type}:${linkedId}`),
+    );
+
+    index.linked[id] = [...new Set(keys)];
+    for (const key of index.linked[id]) (index.postings[key] ??= []).push(id);
+    const itemYear = year(item);
+    if (itemYear != null) index.years[id] = itemYear;
+  }
+
+  return index;
+}
+
+/**
+ * Score the objects sharing a creator, theme or era with an object by weighted
+ * overlap of their creators, themes, eras, object types and date proximity.
+ * Only these candidates are scored, found through the postings of the index.
+ * @param {Object} index - see buildRelatedIndex
+ * @param {number} id
+ * @returns {[number, number][]} [id, score] pairs, best first, at most RELATED_MAX
+ */
+
+export function scoreRelated({ linked, postings, years }, id) {
+  const keys = new Set(linked[id] ?? []);
+  const candidates = new Set(
+    [...keys]
+      .filter((key) => candidateTypes.includes(key.split(":")[0]))
+      .flatMap((key) => postings[key] ?? []),
+  );
+  candidates.delete(+id);
+
+  const scores = [...candidates].map((other) => {
+    let score = 0;
+    for (const key of linked[other]) {
+      if (keys.has(key)) score += weights[key.split(":")[0]];
+    }
+
+    const [a, b] = [years[id], years[other]];
+    if (a != null && b != null) {
+      score += DATE_WEIGHT * Math.max(0, 1 - Math.abs(a - b) / YEAR_SPAN);
+    }
+
+    return [other, Math.round(score * 100) / 100];
+  });
+
+  return scores
+    .sort(([idA, a], [idB, b]) => b - a || idA - idB)
+    .slice(0, RELATED_MAX);
+}
+
+function year(item) {
+  const year = item["dcterms:date"]?.[0]?.["@value"]?.match(/^-?[0-9]+/)?.[0];
+  return year == null ? null : +year;
+}
@@ -0,0 +1,276 @@
+import { normalizeValue } from "./normalize.js";
+import { languageEntries } from "./helper.js";
+import { foldChinese, isPinyin, normalizePinyin, toPinyin } from "./chinese.js";
+
+// BM25 parameters and per-field boosts (BM25F style)
+const K1 = 1.2;
+const B = 0.75;
+const PINYIN = "py:";
+const titleProperties = ["dcterms:title", "dcterms:alternative"];
+const fields = {
+  title: {
+    boost: 3,
+    tokenize: (item) => tokenize(itemText(item, titleProperties)),
+  },
+  pinyin: {
+    boost: 2,
+    tokenize: (item) => tokenizePinyin(itemText(item, titleProperties)),
+  },
+  description: {
+    boost: 2,
+    tokenize: (item) => tokenize(itemText(item, ["dcterms:description"])),
+  },
+  text: {
+    boost: 1,
+    tokenize: (item) =>
+      tokenize(itemText(item, ["extracttext:extracted_text"])),
+  },
+};
+
+/**
+ * Split a text into lowercase search tokens.
+ * - latin/numeric runs become one token each
+ * - han runs are folded to Simplified and split into overlapping bigrams (single characters stay unigrams)
+ * @param {string} text
+ * @returns {[string]}
+ */
+
+export function tokenize(text) {
+  if (text == null) return [];
+  const words =
+    foldChinese(`${text}`.normalize("NFKC").toLowerCase()).match(
+      /[\p{L}\p{N}]+/gu,
+    ) ?? [];
+
+  return words.flatMap((word) =>
+    word.match(/\p{Script=Han}+|[^\p{Script=Han}]+/gu).flatMap((run) => {
+      const chars = Array.from(run);
+      if (!/\p{Script=Han}/u.test(run) || chars.length === 1) return [run];
+      return chars.slice(1).map((char, i) => chars[i] + char);
+    }),
+  );
+}
+
+/**
+ * Turn the han runs of a text into pinyin tokens, one per syllable boundary,
+ * so that prefix matching finds any run of syllables.
+ * Example: "档案馆" becomes ["py:danganguan", "py:anguan", "py:guan"]
+ * @param {string} text
+ * @returns {[string]}
+ */
+
+export function tokenizePinyin(text) {
+  return toPinyin(text).flatMap((syllables) =>
+    syllables.map((_, i) => PINYIN + syllables.slice(i).join("")),
+  );
+}
+
+/**
+ * Build an inverted index from raw Omeka items.
+ * @param {Object[]} items - raw items from the API
+ * @returns {Object} index
+ */
+
+export function buildSearchIndex(items) {
+  const index = {
+    docs: new Map(),
+    postings: new Map(),
+    lengths: Object.fromEntries(Object.keys(fields).map((key) => [key, 0])),
+  };
+  return updateSearchIndex(index, items);
+}
+
+/**
+ * Add or replace raw items in an existing index.
+ * @param {Object} index
+ * @param {Object[]} items - raw items from the API
+ * @returns {Object} index
+ */
+
+export function updateSearchIndex(index, items) {
+  items.forEach((item) => {
+    const id = item["o:id"];
+    removeFromSearchIndex(index, id);
+
+    const doc = { lengths: {}, terms: new Set() };
+
+    Object.entries(fields).forEach(([field, { tokenize }]) => {
+      const tokens = tokenize(item);
+      doc.lengths[field] = tokens.length;
+      index.lengths[field] += tokens.length;
+
+      tokens.forEach((token) => {
+        if (!index.postings.has(token)) index.postings.set(token, new Map());
+        const posting = index.postings.get(token);
+        if (!posting.has(id)) posting.set(id, {});
+        const frequencies = posting.get(id);
+        frequencies[field] = 1 + (frequencies[field] ?? 0);
+        doc.terms.add(token);
+      });
+    });
+
+    index.docs.set(id, doc);
+  });
+  return index;
+}
+
+/**
+ * Remove a single item from the index.
+ * @param {Object} index
+ * @param {number} id
+ * @returns {Object} index
+ */
+
+export function removeFromSearchIndex(index, id) {
+  const doc = index.docs.get(id);
+  if (doc == null) return index;
+
+  doc.terms.forEach((term) => {
+    const posting = index.postings.get(term);
+    posting.delete(id);
+    if (posting.size === 0) index.postings.delete(term);
+  });
+  Object.entries(doc.lengths).forEach(([field, length]) => {
+    index.lengths[field] -= length;
+  });
+  index.docs.delete(id);
+  return index;
+}
+
+/**
+ * Rank items against a list of search terms (see normalizeSearchString).
+ * Every term has to match (AND): either all of its tokens, or, for latin terms, its pinyin.
+ * Latin tokens also match as prefix and single han characters match every bigram containing them.
+ * @param {Object} index
+ * @param {[string]} terms
+ * @returns {{id:number, score:number}[]} sorted by descending score
+ */
+
+export function querySearchIndex(index, terms) {
+  if (terms.length === 0 || index.docs.size === 0) return [];
+
+  const averages = Object.fromEntries(
+    Object.keys(fields).map((field) => [
+      field,
+      index.lengths[field] / index.docs.size || 1,
+    ]),
+  );
+
+  let scores = null;
+
+  for (const term of terms) {
+    const alternatives = [tokenize(term.replace(/"/g, ""))];
+    if (isPinyin(term)) alternatives.push([PINYIN + normalizePinyin(term)]);
+
+    const termScores = new Map();
+    alternatives.forEach((tokens) => {
+      scoreTokens(index, tokens, averages).forEach((score, id) => {
+        termScores.set(id, Math.max(score, termScores.get(id) ?? 0));
+      });
+    });
+
+    scores = scores == null ? termScores : intersectScores(scores, termScores);
+
+    if (scores.size === 0) return [];
+  }
+
+  return [...scores]
+    .map(([id, score]) => ({ id, score }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * BM25F scores of the items matching all tokens.
+ * @param {Object} index
+ * @param {[string]} tokens
+ * @param {Object.<string, number>} averages - average length per field
+ * @returns {Map<number, number>}
+ */
+function scoreTokens(index, tokens, averages) {
+  let scores = null;
+
+  for (const token of new Set(tokens)) {
+    const tokenScores = new Map();
+
+    expandToken(index, token).forEach((term) => {
+      const posting = index.postings.get(term);
+      const idf = Math.log(
+        1 + (index.docs.size - posting.size + 0.5) / (posting.size + 0.5),
+      );
+
+      posting.forEach((frequencies, id) => {
+        const { lengths } = index.docs.get(id);
+        const weighted = Object.entries(frequencies).reduce(
+          (sum, [field, frequency]) =>
+            sum +
+            (fields[field].boost * frequency) /
+              (1 - B + (B * lengths[field]) / averages[field]),
+          0,
+        );
+        const score = (idf * (weighted * (K1 + 1))) / (weighted + K1);
+        tokenScores.set(id, score + (tokenScores.get(id) ?? 0));
+      });
+    });
+
+    scores =
+      scores == null ? tokenScores : intersectScores(scores, tokenScores);
+
+    if (scores.size === 0) break;
+  }
+
+  return scores ?? new Map();
+}
+
+/**
+ * Keep the ids present in both score maps and sum their scores.
+ * @param {Map<number, number>} a
+ * @param {Map<number, number>} b
+ * @returns {Map<number, number>}
+ */
+function intersectScores(a, b) {
+  return new Map(
+    [...a]
+      .filter(([id]) => b.has(id))
+      .map(([id, score]) => [id, score + b.get(id)]),
+  );
+}
+
+/**
+ * Resolve a query token to the index terms it matches.
+ * @param {Object} index
+ * @param {string} token
+ * @returns {[string]}
+ */
+function expandToken(index, token) {
+  const isHan = /\p{Script=Han}/u.test(token);
+  if (isHan && Array.from(token).length > 1) {
+    return index.postings.has(token) ? [token] : [];
+  }
+
+  const isPinyinToken = token.startsWith(PINYIN);
+  return [...index.postings.keys()].filter((term) =>
+    isHan
+      ? term.includes(token)
+      : term.startsWith(token) && term.startsWith(PINYIN) === isPinyinToken,
+  );
+}
+
+/**
+ * Join the normalized (possibly language-keyed) values of item properties into one string.
+ * @param {Object} item - raw item from API
+ * @param {[string]} properties
+ * @returns {string}
+ */
+function itemText(item, properties) {
+  return properties
+    .map((property) => normalizeValue(item[property]))
+    .filter((value) => value != null)
+    .map((value) =>
+      typeof value === "object"
+        ? languageEntries(value)
+            .map(([, text]) => text)
+            .join(" ")
+        : `${value}`,
+    )
+    .join(" ");
+}
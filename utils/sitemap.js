@@ -0,0 +1,123 @@
+import he from "he";
+import { fillTemplate } from "./helper.js";
+import { currentSite } from "../sites.js";
+
+// maximum number of urls per sitemap file (sitemaps.org protocol)
+export const SITEMAP_LIMIT = 50000;
+
+/**
+ * Build one sitemap entry per language for every item and site page.
+ * @param {Object.<string, string>} ids - modified date by item id (see getIds)
+ * @param {{slug:string, modified:string}[]} pages - localized site pages, slugs ending in -{lang}
+ * @returns {{loc:string, lastmod:string, alternates:{lang:string, href:string}[]}[]}
+ */
+
+export function sitemapEntries(ids, pages) {
+  const { SITEMAP_ITEM_URL, SITEMAP_PAGE_URL, SITEMAP_LANGUAGES } =
+    currentSite();
+  const languages = SITEMAP_LANGUAGES.split(",").map((lang) => lang.trim());
+
+  const itemEntries = Object.entries(ids).flatMap(([id, lastmod]) =>
+    localizedEntries(
+      languages.map((lang) => ({
+        lang,
+        href: fillTemplate(SITEMAP_ITEM_URL, { lang, id }),
+      })),
+      lastmod,
+    ),
+  );
+
+  const pagesBySlug = {};
+  pages.forEach(({ slug, modified }) => {
+    const lang = languages.find((lang) => slug.endsWith(`-${lang}`));
+    if (lang == null) return;
+    const baseSlug = slug.slice(0, -(lang.length + 1));
+    pagesBySlug[baseSlug] ??= [];
+    pagesBySlug[baseSlug].push({ lang, modified });
+  });
+
+  const pageEntries = Object.entries(pagesBySlug).flatMap(([slug, localized]) =>
+    localizedEntries(
+      localized.map(({ lang }) => ({
+        lang,
+        href: fillTemplate(SITEMAP_PAGE_URL, { lang, slug }),
+      })),
+      localized
+        .map(({ modified }) => modified)
+        .filter(Boolean)
+        .sort()
+        .at(-1),
+    ),
+  );
+
+  return [...pageEntries, ...itemEntries];
+}
+
+/**
+ * Render a urlset with hreflang alternates.
+ * @param {{loc:string, lastmod:string, alternates:Object[]}[]} entries
+ * @returns {string} xml
+ */
+
+export function renderSitemap(entries) {
+  const urls = entries.map(
+    ({ loc, lastmod, alternates }) =>
+      `<url><loc>${escape(loc)}</loc>${lastmod ? `<lastmod>${lastmod}</lastmod>` : ""}${alternates
+        .map(
+          ({ lang, href }) =>
+            `<xhtml:link rel="alternate" hreflang="${lang}" href="${escape(href)}"/>`,
+        )
+        .join("")}</url>`,
+  );
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${urls.join("\n")}
+</urlset>`;
+}
+
+/**
+ * Render a sitemap index pointing to /sitemap-{n}.xml files.
+ * @param {{lastmod:string}[][]} chunks - entries split into files of SITEMAP_LIMIT
+ * @returns {string} xml
+ */
+
+export function renderSitemapIndex(chunks) {
+  const sitemaps = chunks.map((chunk, i) => {
+    const lastmod = chunk
+      .map(({ lastmod }) => lastmod)
+      .filter(Boolean)
+      .sort()
+      .at(-1);
+    return `<sitemap><loc>${escape(`${currentSite().API_URL}/sitemap-${i + 1}.xml`)}</loc>${lastmod ? `<lastmod>${lastmod}</lastmod>` : ""}</sitemap>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${sitemaps.join("\n")}
+</sitemapindex>`;
+}
+
+/**
+ * robots.txt allowing everything and announcing the sitemap.
+ * @returns {string}
+ */
+
+export function renderRobots() {
+  return `User-agent: *
+Allow: /
+
+Sitemap: ${currentSite().API_URL}/sitemap.xml
+`;
+}
+
+/**
+ * One entry per language, each listing all languages (itself included) as alternates.
+ */
+function localizedEntries(alternates, lastmod) {
+  return alternates.map(({ href }) => ({ loc: href, lastmod, alternates }));
+}
+
+function escape(value) {
+  return he.escape(`${value}`);
+}
@@ -1,4 +1,6 @@
 import { normalizeSearchString } from "./normalize.js";
+import { foldChinese } from "./chinese.js";
+import { languageEntries } from "./helper.js";
 /**
  * Extract text snippets around matches of the search terms in the text.
  *
@@ -12,8 +14,8 @@ export function extractSnippets(item, search) {
 
   const snippets = [
     ...matchWithContext(item.description, regex),
-    ...Object.values(item.description ?? {})
-      .map((value) => matchWithContext(value, regex))
+    ...languageEntries(item.description ?? {})
+      .map(([, value]) => matchWithContext(value, regex))
       .flat(),
     ...matchWithContext(item.text, regex),
   ];
@@ -22,6 +24,7 @@ export function extractSnippets(item, search) {
 }
 /**
  * Converts a search string into a regular expression
+ * matching against text folded with foldChinese
  *
  * @param {string} str – The search term
  * @returns {RegExp}   – The converted regex
@@ -41,6 +44,7 @@ function searchToRegex(str) {
 }
 /**
  * matches text against regex and returns results with context
+ * Traditional Chinese is folded for matching, snippets keep the original characters
  *
  * @param {string} text – The search term to split
  * @param {string} regex – The regex to match against
@@ -52,9 +56,10 @@ function searchToRegex(str) {
  */
 function matchWithContext(text, regex, context = 60) {
   const result = [];
+  const folded = foldChinese(text);
   let match;
-  while ((match = regex.exec(text)) != null) {
-    const term = match[0];
+  while ((match = regex.exec(folded)) != null) {
+    const term = text.slice(match.index, match.index + match[0].length);
 
     const start = Math.max(0, match.index - context);
     const stop = Math.min(text.length, match.index + term.length + context);
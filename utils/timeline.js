@@ -0,0 +1,129 @@
+import { types } from "../types.js";
+import { parseDate } from "./dates.js";
+import { normalizeOmekaFields, normalizeValue } from "./normalize.js";
+
+export const TIMELINE_UNITS = ["decade", "year", "month"];
+
+/**
+ * Bucket items by decade, year or month of their dcterms:date.
+ * Dates less precise than the unit keep their own precision (a "1998" stays a year
+ * bucket by month), undated items are only counted.
+ * Eras are returned as spans: their own dates (several values or an interval
+ * "1978/1992"), else the dates of their items.
+ * @param {Object[]} items - raw items
+ * @param {Object[]} eras - raw era items
+ * @param {{unit:string, samples:number, filters:Object}} options
+ * @returns {{unit:string, total:number, undated:number, buckets:Object[], eras:Object[]}}
+ */
+
+export function buildTimeline(items, eras, { unit, samples, filters }) {
+  const buckets = new Map();
+  let undated = 0;
+
+  for (const item of items) {
+    const date = parseDate(item["dcterms:date"]?.[0]?.["@value"]);
+    if (date == null) {
+      undated++;
+      continue;
+    }
+
+    const bucket = toBucket(date, unit);
+    if (!buckets.has(bucket.key))
+      buckets.set(bucket.key, { ...bucket, items: [] });
+    buckets.get(bucket.key).items.push(item);
+  }
+
+  return {
+    unit,
+    total: items.length,
+    undated,
+    buckets: [...buckets.values()]
+      .sort((a, b) => a.sort - b.sort)
+      .map(({ sort, items, ...bucket }) => ({
+        ...bucket,
+        count: items.length,
+        samples: items
+          .filter((item) => item.thumbnail_display_urls?.medium)
+          .slice(0, samples)
+          .map((item) => {
+            const { id, title, thumbnail } = normalizeOmekaFields(
+              item,
+              filters,
+            );
+            return { id, title, thumbnail };
+          }),
+      })),
+    eras: eras
+      .map((era) => {
+        const linked = items.filter((item) =>
+          item[types.era.property]?.some(
+            ({ value_resource_id: id }) => id === era["o:id"],
+          ),
+        );
+        const [start, end] = span(
+          (era["dcterms:date"] ?? []).flatMap(({ "@value": value }) =>
+            `${value}`.split("/"),
+          ),
+        ) ??
+          span(linked.map((item) => item["dcterms:date"]?.[0]?.["@value"])) ?? [
+            null,
+            null,
+          ];
+
+        return {
+          id: era["o:id"],
+          title: normalizeValue(era["dcterms:title"]),
+          start,
+          end,
+          count: linked.length,
+        };
+      })
+      .filter(({ count }) => count > 0)
+      .sort((a, b) => compareDates(a.start, b.start)),
+  };
+}
+
+function toBucket({ year, month, precision }, unit) {
+  if (unit === "decade") {
+    const decade = Math.floor(year / 10) * 10;
+    return {
+      key: `${decade}s`,
+      unit,
+      start: `${decade}`,
+      end: `${decade + 9}`,
+      sort: decade * 12,
+    };
+  }
+
+  if (unit === "month" && precision !== "year") {
+    const key = `${year}-${`${month}`.padStart(2, "0")}`;
+    return { key, unit, start: key, end: key, sort: year * 12 + month };
+  }
+
+  // before the months of the year
+  return {
+    key: `${year}`,
+    unit: "year",
+    start: `${year}`,
+    end: `${year}`,
+    sort: year * 12,
+  };
+}
+
+// earliest and latest of some dates, null without any
+function span(values) {
+  const dates = values
+    .map((value) => `${value ?? ""}`.trim())
+    .filter((value) => parseDate(value) != null)
+    .sort(compareDates);
+  return dates.length > 0 ? [dates[0], dates.at(-1)] : null;
+}
+
+function compareDates(a, b) {
+  const [dateA, dateB] = [parseDate(a), parseDate(b)];
+  return (
+    (dateA?.year ?? 0) - (dateB?.year ?? 0) ||
+    (dateA?.month ?? 0) - (dateB?.month ?? 0) ||
+    (dateA?.day ?? 0) - (dateB?.day ?? 0)
+  );
+}
@@ -0,0 +1,114 @@
+import { constants, crc32, deflateRawSync } from "node:zlib";
+
+// ZIP
+// a streaming zip writer for generated files (xlsx): every chunk is deflated on its own
+// (sync flushed, so the chunks form one deflate stream) and sizes and checksums follow
+// the data in data descriptors, so no file is ever held in memory
+
+const FLAGS = 0x0808; // data descriptor, utf-8 names
+const DEFLATE = 8;
+const VERSION = 20;
+const DOS_DATE = (1 << 5) | 1; // 1980-01-01, the timestamps are meaningless here
+
+/**
+ * Zip files given as chunks of text or buffers.
+ * @param {{name:string, chunks:Iterable<string|Buffer>}[]} files
+ * @returns {Generator<Buffer>}
+ */
+
+export function* zipFiles(files) {
+  const entries = [];
+  let offset = 0;
+
+  for (const { name, chunks } of files) {
+    const entry = {
+      name: Buffer.from(name),
+      offset,
+      crc: 0,
+      size: 0,
+      compressed: 0,
+    };
+
+    const header = localHeader(entry);
+    offset += header.length;
+    yield header;
+
+    for (const chunk of chunks) {
+      const data = Buffer.from(chunk);
+      if (data.length === 0) continue;
+      const deflated = deflateRawSync(data, {
+        finishFlush: constants.Z_SYNC_FLUSH,
+      });
+      entry.crc = crc32(data, entry.crc);
+      entry.size += data.length;
+      entry.compressed += deflated.length;
+      offset += deflated.length;
+      yield deflated;
+    }
+
+    // the final, empty block
+    const end = deflateRawSync(Buffer.alloc(0));
+    entry.compressed += end.length;
+    const descriptor = dataDescriptor(entry);
+    offset += end.length + descriptor.length;
+    yield Buffer.concat([end, descriptor]);
+
+    entries.push(entry);
+  }
+
+  const directory = Buffer.concat(entries.map(centralHeader));
+  yield Buffer.concat([
+    directory,
+    endOfDirectory(entries.length, directory.length, offset),
+  ]);
+}
+
+function localHeader({ name }) {
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(VERSION, 4);
+  header.writeUInt16LE(FLAGS, 6);
+  header.writeUInt16LE(DEFLATE, 8);
+  header.writeUInt16LE(0, 10);
+  header.writeUInt16LE(DOS_DATE, 12);
+  // crc and sizes (14-25) follow in the data descriptor
+  header.writeUInt16LE(name.length, 26);
+  return Buffer.concat([header, name]);
+}
+
+function dataDescriptor({ crc, compressed, size }) {
+  const descriptor = Buffer.alloc(16);
+  descriptor.writeUInt32LE(0x08074b50, 0);
+  descriptor.writeUInt32LE(crc, 4);
+  descriptor.writeUInt32LE(compressed, 8);
+  descriptor.writeUInt32LE(size, 12);
+  return descriptor;
+}
+
+function centralHeader({ name, offset, crc, size, compressed }) {
+  const header = Buffer.alloc(46);
+  header.writeUInt32LE(0x02014b50, 0);
+  header.writeUInt16LE(VERSION, 4);
+  header.writeUInt16LE(VERSION, 6);
+  header.writeUInt16LE(FLAGS, 8);
+  header.writeUInt16LE(DEFLATE, 10);
+  header.writeUInt16LE(0, 12);
+  header.writeUInt16LE(DOS_DATE, 14);
+  header.writeUInt32LE(crc, 16);
+  header.writeUInt32LE(compressed, 20);
+  header.writeUInt32LE(size, 24);
+  header.writeUInt16LE(name.length, 28);
+  // extra field, comment, disk, attributes (30-41) stay 0
+  header.writeUInt32LE(offset, 42);
+  return Buffer.concat([header, name]);
+}
+
+function endOfDirectory(count, size, offset) {
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(count, 8);
+  end.writeUInt16LE(count, 10);
+  end.writeUInt32LE(size, 12);
+  end.writeUInt32LE(offset, 16);
+  return end;
+}